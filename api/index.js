@@ -6,6 +6,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const mongoSanitize = require('express-mongo-sanitize');
+const path = require('path');
 require('dotenv').config();
 
 // Swagger
@@ -13,7 +14,7 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJSDoc = require('swagger-jsdoc');
 
 // Rate limiting
-const { apiLimiter, authLimiter } = require('../middleware/rateLimiter');
+const { apiLimiter } = require('../middleware/rateLimiter');
 
 const app = express();
 
@@ -43,6 +44,9 @@ app.use(mongoSanitize());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(compression());
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -112,7 +116,7 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Enter JWT token'
+          description: 'Enter a JWT, or an API key (cbk_...) for routes that accept one'
         }
       }
     }
@@ -147,7 +151,21 @@ app.use(async (req, res, next) => {
 // ===========================
 
 app.use('/api/posts', apiLimiter, require('../routes/posts'));
-app.use('/api/auth', authLimiter, require('../routes/auth'));
+app.use('/api/categories', apiLimiter, require('../routes/categories'));
+app.use('/api/tags', apiLimiter, require('../routes/tags'));
+app.use('/api/moderation', apiLimiter, require('../routes/moderation'));
+app.use('/api/auth', apiLimiter, require('../routes/auth'));
+app.use('/api/users', apiLimiter, require('../routes/users'));
+app.use('/api/media', apiLimiter, require('../routes/media'));
+app.use('/api/me', apiLimiter, require('../routes/me'));
+app.use('/api/lists', apiLimiter, require('../routes/lists'));
+app.use('/api/authors', apiLimiter, require('../routes/authors'));
+app.use('/api/webhooks', apiLimiter, require('../routes/webhooks'));
+app.use('/api/audit', apiLimiter, require('../routes/audit'));
+app.use('/api/api-keys', apiLimiter, require('../routes/apiKeys'));
+app.use('/api/cron', require('../routes/cron'));
+app.use('/feeds', apiLimiter, require('../routes/feeds'));
+app.use(require('../routes/seo'));
 
 // Health check
 app.get('/', (req, res) => {
@@ -1,47 +0,0 @@
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Create storage engine
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'blog-uploads',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'gif'],
-    transformation: [
-      { width: 1200, height: 630, crop: 'limit' },
-      { quality: 'auto:good' },
-      { format: 'auto' }
-    ],
-    public_id: (req, file) => {
-      const timestamp = Date.now();
-      const random = Math.round(Math.random() * 1E9);
-      return `blog_${timestamp}_${random}`;
-    }
-  }
-});
-
-// Helper function to delete image
-const deleteImage = async (imageUrl) => {
-  try {
-    if (!imageUrl) return;
-
-    // Extract public_id from Cloudinary URL
-    const urlParts = imageUrl.split('/');
-    const publicIdWithExt = urlParts[urlParts.length - 1];
-    const publicId = `blog-uploads/${publicIdWithExt.split('.')[0]}`;
-
-    await cloudinary.uploader.destroy(publicId);
-    console.log(`✅ Deleted image: ${publicId}`);
-  } catch (error) {
-    console.error('Error deleting image:', error);
-  }
-};
-
-module.exports = { cloudinary, storage, deleteImage };
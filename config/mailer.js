@@ -0,0 +1,115 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// ===========================
+// TRANSPORTS
+// ===========================
+// A transport is any object with an async send(message) method.
+
+// Keeps messages in memory - handy for tests and local debugging
+const memoryTransport = () => {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+    }
+  };
+};
+
+// Writes each message as a JSON file (default ./mail-outbox)
+const fileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail-outbox')) => ({
+  name: 'file',
+  dir,
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}_${Math.round(Math.random() * 1E9)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+// Logs messages to the console
+const consoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+// Drops messages with a warning that leaves out their contents. Used in
+// production when no SMTP server is configured, so links carrying tokens
+// never end up in the logs.
+const disabledTransport = () => ({
+  name: 'disabled',
+  send: async (message) => {
+    console.warn(`📧 Mail to ${message.to} not sent: no mail transport configured (set SMTP_HOST)`);
+  }
+});
+
+// Real delivery through nodemailer
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const transports = {
+  memory: memoryTransport,
+  file: fileTransport,
+  console: consoleTransport,
+  disabled: disabledTransport,
+  smtp: smtpTransport
+};
+
+// ===========================
+// MAILER
+// ===========================
+
+// Transport used when MAIL_TRANSPORT isn't set: SMTP when configured, else the
+// console in development and nothing at all in production
+const defaultTransportName = () => {
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? 'disabled' : 'console';
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || defaultTransportName()) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+let transport = null;
+
+const mailer = {
+  // Swap the transport at runtime (e.g. mailer.use(memoryTransport()) in tests)
+  use(nextTransport) {
+    transport = nextTransport;
+    return transport;
+  },
+
+  get transport() {
+    if (!transport) transport = createTransport();
+    return transport;
+  },
+
+  async send({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'Classic Blog <no-reply@example.com>';
+    await this.transport.send({ from, to, subject, text, html });
+  }
+};
+
+module.exports = { mailer, memoryTransport, fileTransport, consoleTransport, disabledTransport, smtpTransport };
@@ -0,0 +1,37 @@
+// Public site settings used to build links in feeds, sitemaps and SEO metadata.
+// SITE_URL is the canonical base URL of the frontend that renders posts.
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const siteUrl = () => trimSlash(process.env.SITE_URL || process.env.FRONTEND_URL || 'http://localhost:3000');
+
+const site = {
+  get title() {
+    return process.env.SITE_TITLE || 'Classic Blog';
+  },
+
+  get description() {
+    return process.env.SITE_DESCRIPTION || 'Latest posts from Classic Blog';
+  },
+
+  get url() {
+    return siteUrl();
+  },
+
+  // Twitter/X account credited in twitter:site, e.g. "@classicblog"
+  get twitterHandle() {
+    return process.env.TWITTER_HANDLE || '';
+  },
+
+  // URLs per sitemap file before splitting into a sitemap index (protocol max is 50,000)
+  get sitemapPageSize() {
+    return Math.min(Number(process.env.SITEMAP_PAGE_SIZE) || 5000, 50000);
+  },
+
+  // Canonical page URL for a post
+  postUrl(post) {
+    return `${siteUrl()}/posts/${post.slug || post._id}`;
+  }
+};
+
+module.exports = site;
@@ -0,0 +1,235 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// ===========================
+// DRIVERS
+// ===========================
+// A driver stores files and resolves their public URLs. Every driver exposes:
+//   upload(file)       -> { key, url }   (file is a multer memory file: buffer, originalname, mimetype)
+//   delete(keyOrUrl)   -> removes the object, accepting either the key or the URL returned by upload
+//   publicUrl(key)     -> public URL for a stored key
+//   owns(url)          -> whether the URL points at a file this driver stores
+
+const FOLDER = 'blog-uploads';
+
+// blog_<timestamp>_<random>
+const generateName = () => `blog_${Date.now()}_${Math.round(Math.random() * 1E9)}`;
+
+// blog-uploads/blog_<timestamp>_<random>.<ext>
+const generateKey = (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase() || '.bin';
+  return `${FOLDER}/${generateName()}${ext}`;
+};
+
+// Whether a URL sits under a base URL
+const isUnder = (value, baseUrl) => typeof value === 'string' && value.startsWith(`${baseUrl.replace(/\/+$/, '')}/`);
+
+// Strip a known base URL from a URL, leaving the storage key
+const keyFromUrl = (value, baseUrl) => {
+  if (!value) return null;
+  const base = baseUrl.replace(/\/+$/, '');
+  if (value.startsWith(`${base}/`)) {
+    return decodeURIComponent(value.slice(base.length + 1).split('?')[0]);
+  }
+  return /^https?:\/\//.test(value) ? null : value;
+};
+
+// Cloudinary - resizes and optimises on upload
+const cloudinaryDriver = () => {
+  const cloudinary = require('cloudinary').v2;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  // Cloudinary keys are public ids: folder/name without the extension
+  const toPublicId = (keyOrUrl) => {
+    const name = keyOrUrl.split('/').pop().split('.')[0];
+    return `${FOLDER}/${name}`;
+  };
+
+  return {
+    name: 'cloudinary',
+
+    upload: (file) => new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({
+        folder: FOLDER,
+        public_id: generateName(),
+        allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'gif'],
+        transformation: [
+          { width: 1200, height: 630, crop: 'limit' },
+          { quality: 'auto:good' },
+          { format: 'auto' }
+        ]
+      }, (error, result) => {
+        if (error) return reject(error);
+        resolve({ key: result.public_id, url: result.secure_url });
+      });
+      stream.end(file.buffer);
+    }),
+
+    delete: async (keyOrUrl) => {
+      if (!keyOrUrl) return;
+      await cloudinary.uploader.destroy(toPublicId(keyOrUrl));
+    },
+
+    publicUrl: (key) => cloudinary.url(key, { secure: true }),
+
+    // Delivery URLs: https://res.cloudinary.com/<cloud>/image/upload/v<version>/blog-uploads/<name>.<ext>
+    owns: (url) => isUnder(url, `https://res.cloudinary.com/${cloudinary.config().cloud_name}`) && url.includes(`/${FOLDER}/`)
+  };
+};
+
+// Local disk (default ./uploads) - served by the app under /uploads
+const localDriver = ({
+  dir = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+  baseUrl = process.env.UPLOAD_PUBLIC_URL || '/uploads'
+} = {}) => {
+  // Resolve a key inside the upload directory, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(dir, key);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    dir,
+
+    upload: async (file) => {
+      const key = generateKey(file);
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.buffer);
+      return { key, url: `${baseUrl.replace(/\/+$/, '')}/${key}` };
+    },
+
+    delete: async (keyOrUrl) => {
+      const key = keyFromUrl(keyOrUrl, baseUrl);
+      if (!key) return;
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    publicUrl: (key) => `${baseUrl.replace(/\/+$/, '')}/${key}`,
+
+    owns: (url) => isUnder(url, baseUrl)
+  };
+};
+
+// S3 and S3-compatible services such as MinIO
+const s3Driver = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const bucket = process.env.S3_BUCKET;
+  const endpoint = process.env.S3_ENDPOINT;
+  const region = process.env.S3_REGION || 'us-east-1';
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted services need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const baseUrl = process.env.S3_PUBLIC_URL || (endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: 's3',
+
+    upload: async (file) => {
+      const key = generateKey(file);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: file.buffer,
+        ContentType: file.mimetype
+      }));
+      return { key, url: `${baseUrl.replace(/\/+$/, '')}/${key}` };
+    },
+
+    delete: async (keyOrUrl) => {
+      const key = keyFromUrl(keyOrUrl, baseUrl);
+      if (!key) return;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    publicUrl: (key) => `${baseUrl.replace(/\/+$/, '')}/${key}`,
+
+    owns: (url) => isUnder(url, baseUrl)
+  };
+};
+
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+  s3: s3Driver
+};
+
+// ===========================
+// STORAGE
+// ===========================
+
+// STORAGE_DRIVER picks the driver; defaults to Cloudinary when configured, else local disk
+const createDriver = (name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory();
+};
+
+let driver = null;
+
+// Drivers other than the active one, for deleting files stored before a switch
+const otherDrivers = new Map();
+
+const storage = {
+  // Swap the driver at runtime (e.g. storage.use(localDriver({ dir: tmpDir })) in tests)
+  use(nextDriver) {
+    driver = nextDriver;
+    return driver;
+  },
+
+  get driver() {
+    if (!driver) driver = createDriver();
+    return driver;
+  },
+
+  // Driver by name, reusing the active one when it matches
+  driverFor(name) {
+    if (name === this.driver.name) return this.driver;
+    if (!otherDrivers.has(name)) otherDrivers.set(name, createDriver(name));
+    return otherDrivers.get(name);
+  },
+
+  upload(file) {
+    return this.driver.upload(file);
+  },
+
+  // Rejects when the driver fails; utils/media queues those deletions for retry
+  async delete(keyOrUrl, driverName = this.driver.name) {
+    if (!keyOrUrl) return;
+    await this.driverFor(driverName).delete(keyOrUrl);
+  },
+
+  publicUrl(key) {
+    return this.driver.publicUrl(key);
+  },
+
+  owns(url) {
+    return this.driver.owns(url);
+  }
+};
+
+module.exports = { storage, cloudinaryDriver, localDriver, s3Driver };
@@ -1,32 +1,174 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { isSessionActive } = require('../utils/tokens');
+const { API_KEY_PREFIX } = require('../utils/apiKeys');
+
+// Load the account behind a token, rejecting deleted and suspended users
+const loadAccount = async (userId) => {
+  const user = await User.findById(userId).select('role status emailVerified');
+  if (!user) {
+    throw Object.assign(new Error('User not found'), { status: 401 });
+  }
+  if (user.status === 'suspended') {
+    throw Object.assign(new Error('Account suspended'), { status: 403 });
+  }
+  return user;
+};
+
+// Verify an API key. The request acts as the key's owner, limited to its scopes.
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findActive(key);
+  if (!apiKey) {
+    throw Object.assign(new Error('API key is invalid, expired or revoked'), { status: 401 });
+  }
+
+  const user = await loadAccount(apiKey.user);
+  await apiKey.touch();
+
+  return {
+    id: user.id,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    apiKey: apiKey.id,
+    scopes: apiKey.scopes
+  };
+};
+
+// Verify a bearer token (JWT or API key) and load the live account state behind it
+const authenticate = async (token) => {
+  if (token.startsWith(API_KEY_PREFIX)) return authenticateApiKey(token);
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Reject tokens whose session was logged out or revoked
+  if (!(await isSessionActive(decoded.sid))) {
+    throw Object.assign(new Error('Session has been revoked'), { status: 401 });
+  }
+
+  const user = await loadAccount(decoded.id);
+
+  // Role comes from the database so promotions and demotions apply immediately
+  return {
+    ...decoded,
+    role: user.role,
+    emailVerified: user.emailVerified
+  };
+};
+
+// Bearer token from the Authorization header, or an API key from X-API-Key
+const readToken = (req) =>
+  req.header('Authorization')?.replace('Bearer ', '') || req.header('X-API-Key');
 
 const auth = async (req, res, next) => {
   try {
     // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = readToken(req);
 
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = await authenticate(token);
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token expired' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-// Admin only middleware
+// Attach the user when a valid token is present, but never block the request
+const optionalAuth = async (req, res, next) => {
+  const token = readToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await authenticate(token);
+
+    // Reading as the owner (drafts included) needs posts:read on API keys
+    if (!user.apiKey || user.scopes.includes('posts:read')) req.user = user;
+  } catch (error) {
+    // Invalid, expired, revoked or suspended tokens are treated as anonymous
+  }
+  next();
+};
+
+// Require a verified email address (use after auth)
+const requireVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+// Only let API keys through when they carry the scope (use after auth).
+// Signed in sessions are not limited by scopes.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user.apiKey && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({ message: `API key is missing the ${scope} scope` });
+  }
+  next();
+};
+
+// Refuse API keys on routes that need a signed in person (use after auth)
+const requireSession = (req, res, next) => {
+  if (req.user.apiKey) {
+    return res.status(403).json({ message: 'API keys cannot be used here, please sign in' });
+  }
+  next();
+};
+
+// Admin only middleware. Admin actions always need a signed in session.
 const adminAuth = async (req, res, next) => {
+  if (req.user.apiKey) {
+    return res.status(403).json({ message: 'API keys cannot be used for admin actions, please sign in' });
+  }
   if (req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Access denied. Admin only.' });
   }
   next();
 };
 
-module.exports = { auth, adminAuth };
+// Vercel Cron / scheduler middleware - expects "Authorization: Bearer <CRON_SECRET>"
+const cronAuth = (req, res, next) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ message: 'Cron secret not configured' });
+  }
+
+  if (req.header('Authorization') !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+};
+
+// Whether the request carries admin rights. They don't extend to API keys,
+// a key only reaches its owner's own resources.
+const isAdmin = (user) => Boolean(user && user.role === 'admin' && !user.apiKey);
+
+// Check whether a user may modify a resource owned by ownerId
+const isOwnerOrAdmin = (user, ownerId) => {
+  if (!user) return false;
+  if (isAdmin(user)) return true;
+  if (!ownerId) return false;
+
+  // Accept either a raw ObjectId or a populated document
+  const id = ownerId._id || ownerId;
+  return id.toString() === user.id;
+};
+
+module.exports = {
+  auth,
+  optionalAuth,
+  requireVerified,
+  requireScope,
+  requireSession,
+  adminAuth,
+  cronAuth,
+  isAdmin,
+  isOwnerOrAdmin
+};
@@ -0,0 +1,24 @@
+const Post = require('../models/Post');
+const { isOwnerOrAdmin } = require('./auth');
+
+// Load the post named by the given route param into req.post. Unpublished
+// posts 404 like the post routes do, unless the current user owns them.
+const loadReadablePost = (param) => async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params[param]).select('status publishAt author');
+
+    if (!post || (!post.isVisible() && !isOwnerOrAdmin(req.user, post.author))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { loadReadablePost };
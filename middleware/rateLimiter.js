@@ -25,4 +25,13 @@ const uploadLimiter = rateLimit({
   message: 'Too many uploads, please try again later'
 });
 
-module.exports = { apiLimiter, authLimiter, uploadLimiter };
+// Comment rate limiter
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30, // 30 comments per windowMs
+  message: 'Too many comments, please slow down',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = { apiLimiter, authLimiter, uploadLimiter, commentLimiter };
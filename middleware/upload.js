@@ -0,0 +1,23 @@
+const path = require('path');
+const multer = require('multer');
+
+// Files are kept in memory and handed to the configured storage driver by the route
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files (jpg, jpeg, png, gif, webp) are allowed!'));
+    }
+  }
+});
+
+module.exports = { imageUpload };
@@ -1,4 +1,79 @@
 const { body, param, query } = require('express-validator');
+const { normalizeTags, MAX_TAGS, MAX_TAG_LENGTH } = require('../utils/tags');
+const { decodeCursor } = require('../utils/pagination');
+const { REACTION_TYPES } = require('../utils/reactions');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+const MAX_GALLERY_ITEMS = 50;
+
+// Sort orders accepted by the public post list. -likes, -views and
+// -views-week rank by popularity; -views-week only supports page mode.
+const POST_SORTS = [
+  'createdAt', '-createdAt', 'publishAt', '-publishAt', 'updatedAt', '-updatedAt',
+  '-likes', '-views', '-views-week'
+];
+
+// Shared password strength rule
+const passwordValidator = (field = 'password') => body(field)
+  .notEmpty().withMessage('Password is required')
+  .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain uppercase, lowercase, and number');
+
+// Shared publishAt rule - scheduling needs a future date, publishing can be backdated
+const publishAtValidator = () => body('publishAt')
+  .optional({ values: 'falsy' })
+  .isISO8601().withMessage('Publish date must be a valid ISO 8601 date')
+  .bail()
+  .custom((value, { req }) => {
+    const isFuture = new Date(value) > new Date();
+    if (req.body.status === 'scheduled' && !isFuture) {
+      throw new Error('Scheduled publish date must be in the future');
+    }
+    if (req.body.status === 'published' && isFuture) {
+      throw new Error('Use the scheduled status to publish in the future');
+    }
+    return true;
+  });
+
+// Shared taxonomy rules for creating and updating posts
+const taxonomyValidators = () => [
+  body('category')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('tags')
+    .optional()
+    .customSanitizer(normalizeTags)
+    .custom(tags => tags.length <= MAX_TAGS).withMessage(`A post can have at most ${MAX_TAGS} tags`)
+    .custom(tags => tags.every(tag => tag.length <= MAX_TAG_LENGTH))
+    .withMessage(`Tags cannot exceed ${MAX_TAG_LENGTH} characters`)
+];
+
+// Accepts an array or a comma separated string (multipart forms) of ids
+const toIdList = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map(id => String(id).trim()).filter(Boolean);
+};
+
+// Shared media library references for creating and updating posts
+const mediaRefValidators = () => [
+  body('coverImage')
+    .optional({ values: 'falsy' })
+    .isMongoId().withMessage('Invalid cover image ID'),
+
+  body('gallery')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(ids => ids.length <= MAX_GALLERY_ITEMS)
+    .withMessage(`A gallery can have at most ${MAX_GALLERY_ITEMS} items`)
+    .custom(ids => ids.every(id => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage('Invalid gallery media ID')
+];
 
 // Post validators
 const postValidators = {
@@ -11,7 +86,21 @@ const postValidators = {
     body('description')
       .trim()
       .notEmpty().withMessage('Description is required')
-      .isLength({ min: 10 }).withMessage('Description must be at least 10 characters')
+      .isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+
+    body('status')
+      .optional()
+      .isIn(['draft', 'scheduled', 'published']).withMessage('Invalid status'),
+
+    body('publishAt')
+      .if(body('status').equals('scheduled'))
+      .notEmpty().withMessage('Scheduled posts require a publish date'),
+
+    publishAtValidator(),
+
+    ...taxonomyValidators(),
+
+    ...mediaRefValidators()
   ],
 
   update: [
@@ -25,17 +114,74 @@ const postValidators = {
     body('description')
       .optional()
       .trim()
-      .isLength({ min: 10 }).withMessage('Description must be at least 10 characters')
+      .isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+
+    body('status')
+      .optional()
+      .isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
+
+    publishAtValidator(),
+
+    ...taxonomyValidators(),
+
+    ...mediaRefValidators()
   ],
 
   getById: [
     param('id').isMongoId().withMessage('Invalid post ID')
   ],
 
+  getBySlug: [
+    param('slug')
+      .isLength({ max: 100 }).withMessage('Slug too long')
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug')
+  ],
+
   delete: [
     param('id').isMongoId().withMessage('Invalid post ID')
   ],
 
+  revisions: [
+    param('id').isMongoId().withMessage('Invalid post ID')
+  ],
+
+  revision: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+    param('revision').isInt({ min: 1 }).withMessage('Invalid revision number').toInt()
+  ],
+
+  revisionDiff: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+
+    query('from')
+      .notEmpty().withMessage('from revision is required')
+      .isInt({ min: 1 }).withMessage('Invalid from revision').toInt(),
+
+    query('to')
+      .notEmpty().withMessage('to revision is required')
+      .isInt({ min: 1 }).withMessage('Invalid to revision').toInt()
+  ],
+
+  transfer: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+
+    body('authorId')
+      .notEmpty().withMessage('Author ID is required')
+      .isMongoId().withMessage('Invalid author ID')
+  ],
+
+  bulkTransfer: [
+    body('fromAuthorId')
+      .notEmpty().withMessage('Source author ID is required')
+      .isMongoId().withMessage('Invalid source author ID'),
+
+    body('toAuthorId')
+      .notEmpty().withMessage('Target author ID is required')
+      .isMongoId().withMessage('Invalid target author ID')
+      .custom((value, { req }) => value !== req.body.fromAuthorId)
+      .withMessage('Source and target authors must be different')
+  ],
+
   list: [
     query('page')
       .optional()
@@ -44,11 +190,327 @@ const postValidators = {
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('sort')
+      .optional()
+      .isIn(POST_SORTS).withMessage(`Sort must be one of: ${POST_SORTS.join(', ')}`)
+      .bail()
+      .custom((sort, { req }) => sort !== '-views-week' || (!req.query.cursor && req.query.paginate !== 'cursor'))
+      .withMessage('Sorting by views this week only supports page pagination'),
+
+    query('paginate')
+      .optional()
+      .isIn(['page', 'cursor']).withMessage('Paginate must be page or cursor'),
+
+    query('cursor')
+      .optional()
+      .isLength({ max: 500 }).withMessage('Invalid cursor')
+      .bail()
+      .custom(cursor => Boolean(decodeCursor(cursor))).withMessage('Invalid cursor'),
+
+    query('includeTotal')
+      .optional()
+      .isBoolean().withMessage('includeTotal must be a boolean')
+      .toBoolean(),
     
     query('search')
       .optional()
       .trim()
-      .isLength({ max: 100 }).withMessage('Search query too long')
+      .isLength({ max: 100 }).withMessage('Search query too long'),
+
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isLength({ max: MAX_TAG_LENGTH }).withMessage('Tag too long'),
+
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Category too long'),
+
+    query('author')
+      .optional()
+      .isMongoId().withMessage('Invalid author ID')
+  ],
+
+  search: [
+    query('q')
+      .trim()
+      .notEmpty().withMessage('Search query is required')
+      .isLength({ max: 200 }).withMessage('Search query too long'),
+
+    query('from')
+      .optional()
+      .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+
+    query('to')
+      .optional()
+      .isISO8601().withMessage('to must be a valid ISO 8601 date'),
+
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isLength({ max: MAX_TAG_LENGTH }).withMessage('Tag too long'),
+
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Category too long'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ],
+
+  mine: [
+    query('status')
+      .optional()
+      .isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ]
+};
+
+// Feed validators
+const feedValidators = {
+  feed: [
+    query('author')
+      .optional()
+      .isMongoId().withMessage('Invalid author ID'),
+
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isLength({ max: MAX_TAG_LENGTH }).withMessage('Tag too long'),
+
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Category too long'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ]
+};
+
+// SEO validators
+const seoValidators = {
+  sitemapPage: [
+    param('page').isInt({ min: 1 }).withMessage('Invalid sitemap page')
+  ]
+};
+
+// Category validators
+const categoryValidators = {
+  create: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('parent')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('Invalid parent category ID')
+  ],
+
+  update: [
+    param('id').isMongoId().withMessage('Invalid category ID'),
+
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+    body('parent')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('Invalid parent category ID')
+  ],
+
+  getById: [
+    param('id').isMongoId().withMessage('Invalid category ID')
+  ],
+
+  delete: [
+    param('id').isMongoId().withMessage('Invalid category ID')
+  ]
+};
+
+// Tag validators
+const tagValidators = {
+  cloud: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+
+  rename: [
+    param('tag')
+      .trim()
+      .toLowerCase()
+      .isLength({ min: 1, max: MAX_TAG_LENGTH }).withMessage('Invalid tag'),
+
+    body('name')
+      .trim()
+      .toLowerCase()
+      .notEmpty().withMessage('New tag name is required')
+      .isLength({ max: MAX_TAG_LENGTH }).withMessage(`Tags cannot exceed ${MAX_TAG_LENGTH} characters`)
+  ],
+
+  delete: [
+    param('tag')
+      .trim()
+      .toLowerCase()
+      .isLength({ min: 1, max: MAX_TAG_LENGTH }).withMessage('Invalid tag')
+  ]
+};
+
+// Comment validators
+const commentValidators = {
+  list: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  create: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+
+    body('body')
+      .trim()
+      .notEmpty().withMessage('Comment is required')
+      .isLength({ max: 5000 }).withMessage('Comment cannot exceed 5000 characters'),
+
+    body('parentId')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('Invalid parent comment ID')
+  ],
+
+  update: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+    param('commentId').isMongoId().withMessage('Invalid comment ID'),
+
+    body('body')
+      .trim()
+      .notEmpty().withMessage('Comment is required')
+      .isLength({ max: 5000 }).withMessage('Comment cannot exceed 5000 characters')
+  ],
+
+  delete: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+    param('commentId').isMongoId().withMessage('Invalid comment ID')
+  ]
+};
+
+// Moderation validators
+const moderationValidators = {
+  queue: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  moderate: [
+    param('commentId').isMongoId().withMessage('Invalid comment ID')
+  ],
+
+  settings: [
+    body('commentModeration')
+      .exists().withMessage('commentModeration is required')
+      .isBoolean().withMessage('commentModeration must be a boolean')
+      .toBoolean()
+  ]
+};
+
+// User management validators (admin)
+const userValidators = {
+  list: [
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Search query too long'),
+
+    query('role')
+      .optional()
+      .isIn(['admin', 'author']).withMessage('Invalid role'),
+
+    query('status')
+      .optional()
+      .isIn(['active', 'suspended']).withMessage('Invalid status'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  getById: [
+    param('id').isMongoId().withMessage('Invalid user ID')
+  ],
+
+  changeRole: [
+    param('id').isMongoId().withMessage('Invalid user ID'),
+
+    body('role')
+      .notEmpty().withMessage('Role is required')
+      .isIn(['admin', 'author']).withMessage('Invalid role')
+  ],
+
+  suspend: [
+    param('id').isMongoId().withMessage('Invalid user ID'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+
+  delete: [
+    param('id').isMongoId().withMessage('Invalid user ID'),
+
+    query('transferTo')
+      .optional()
+      .isMongoId().withMessage('Invalid transfer user ID')
   ]
 };
 
@@ -66,15 +528,7 @@ const authValidators = {
       .isEmail().withMessage('Invalid email format')
       .normalizeEmail(),
     
-    body('password')
-      .notEmpty().withMessage('Password is required')
-      .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain uppercase, lowercase, and number'),
-    
-    body('role')
-      .optional()
-      .isIn(['admin', 'author']).withMessage('Invalid role')
+    passwordValidator()
   ],
 
   login: [
@@ -86,7 +540,472 @@ const authValidators = {
     
     body('password')
       .notEmpty().withMessage('Password is required')
+  ],
+
+  refresh: [
+    body('refreshToken')
+      .isString().withMessage('Refresh token is required')
+      .bail()
+      .notEmpty().withMessage('Refresh token is required')
+  ],
+
+  forgotPassword: [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Invalid email format')
+      .normalizeEmail()
+  ],
+
+  resetPassword: [
+    body('token')
+      .isString().withMessage('Reset token is required')
+      .bail()
+      .isHexadecimal().withMessage('Invalid reset token'),
+
+    passwordValidator()
+  ],
+
+  verifyEmail: [
+    body('token')
+      .isString().withMessage('Verification token is required')
+      .bail()
+      .isHexadecimal().withMessage('Invalid verification token')
+  ],
+
+  updateProfile: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+
+    body('bio')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
+
+    body('removeAvatar')
+      .optional()
+      .isBoolean().withMessage('removeAvatar must be a boolean')
+      .toBoolean()
+  ],
+
+  changePassword: [
+    body('currentPassword')
+      .notEmpty().withMessage('Current password is required'),
+
+    passwordValidator('newPassword')
+      .custom((value, { req }) => value !== req.body.currentPassword)
+      .withMessage('New password must be different from the current password')
   ]
 };
 
-module.exports = { postValidators, authValidators };
+// Public author page and follow validators
+const authorValidators = {
+  follow: [
+    param('id').isMongoId().withMessage('Invalid author ID')
+  ],
+
+  following: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  feed: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+
+    query('cursor')
+      .optional()
+      .isLength({ max: 500 }).withMessage('Invalid cursor')
+      .bail()
+      .custom(cursor => Boolean(decodeCursor(cursor))).withMessage('Invalid cursor')
+  ],
+
+  profile: [
+    param('id').isMongoId().withMessage('Invalid author ID'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  ]
+};
+
+// Reaction validators
+const reactionValidators = {
+  list: [
+    param('id').isMongoId().withMessage('Invalid post ID')
+  ],
+
+  toggle: [
+    param('id').isMongoId().withMessage('Invalid post ID'),
+
+    param('type')
+      .isIn(REACTION_TYPES).withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`)
+  ]
+};
+
+// Bookmark and reading list validators
+const readingListDetailsValidators = ({ requireName }) => [
+  (requireName ? body('name') : body('name').optional())
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['private', 'shared']).withMessage('Visibility must be private or shared')
+];
+
+const readingValidators = {
+  bookmarks: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  bookmark: [
+    param('postId').isMongoId().withMessage('Invalid post ID')
+  ],
+
+  createList: readingListDetailsValidators({ requireName: true }),
+
+  updateList: [
+    param('listId').isMongoId().withMessage('Invalid list ID'),
+
+    ...readingListDetailsValidators({ requireName: false })
+  ],
+
+  list: [
+    param('listId').isMongoId().withMessage('Invalid list ID')
+  ],
+
+  listItem: [
+    param('listId').isMongoId().withMessage('Invalid list ID'),
+    param('postId').isMongoId().withMessage('Invalid post ID'),
+
+    body('position')
+      .optional()
+      .isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+      .toInt()
+  ],
+
+  reorder: [
+    param('listId').isMongoId().withMessage('Invalid list ID'),
+
+    body('postIds')
+      .isArray().withMessage('postIds must be an array of post IDs'),
+
+    body('postIds.*')
+      .isMongoId().withMessage('Invalid post ID')
+  ],
+
+  shared: [
+    param('shareId')
+      .isLength({ min: 8, max: 64 }).withMessage('Invalid share link')
+      .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid share link')
+  ]
+};
+
+// Notification validators
+const notificationValidators = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    query('unread')
+      .optional()
+      .isBoolean().withMessage('unread must be true or false')
+      .toBoolean()
+  ],
+
+  markRead: [
+    param('notificationId').isMongoId().withMessage('Invalid notification ID')
+  ],
+
+  // Body maps notification types to true (on) or false (off)
+  preferences: [
+    body()
+      .custom(prefs => prefs && typeof prefs === 'object' && !Array.isArray(prefs))
+      .withMessage('Preferences must be an object of notification types')
+      .bail()
+      .custom(prefs => Object.keys(prefs).every(type => NOTIFICATION_TYPES.includes(type)))
+      .withMessage(`Notification types must be among: ${NOTIFICATION_TYPES.join(', ')}`)
+      .bail()
+      .custom(prefs => Object.values(prefs).every(enabled => typeof enabled === 'boolean'))
+      .withMessage('Each preference must be true or false')
+  ]
+};
+
+// Webhook validators
+const webhookDetailsValidators = ({ requireFields }) => [
+  (requireFields ? body('url') : body('url').optional())
+    .trim()
+    .notEmpty().withMessage('URL is required')
+    .isLength({ max: 2000 }).withMessage('URL cannot exceed 2000 characters')
+    // Local receivers (http://localhost:4000) are allowed for testing
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https URL'),
+
+  (requireFields ? body('events') : body('events').optional())
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS).withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean().withMessage('active must be a boolean')
+    .toBoolean()
+];
+
+const webhookValidators = {
+  create: webhookDetailsValidators({ requireFields: true }),
+
+  update: [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+
+    ...webhookDetailsValidators({ requireFields: false })
+  ],
+
+  getById: [
+    param('id').isMongoId().withMessage('Invalid webhook ID')
+  ],
+
+  deliveries: [
+    param('id').isMongoId().withMessage('Invalid webhook ID'),
+
+    query('status')
+      .optional()
+      .isIn(['pending', 'succeeded', 'failed']).withMessage('Status must be pending, succeeded or failed'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  delivery: [
+    param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+  ]
+};
+
+// Audit log validators
+const auditFilterValidators = () => [
+  // One action or a comma separated list
+  query('action')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(action => action.trim()).filter(Boolean))
+    .custom(actions => actions.every(action => AUDIT_ACTIONS.includes(action)))
+    .withMessage(`Action must be among: ${AUDIT_ACTIONS.join(', ')}`),
+
+  query('actor')
+    .optional()
+    .isMongoId().withMessage('Invalid actor ID'),
+
+  query('targetType')
+    .optional()
+    .isIn(AUDIT_TARGET_TYPES).withMessage(`Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`),
+
+  query('targetId')
+    .optional()
+    .isMongoId().withMessage('Invalid target ID'),
+
+  query('ip')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('IP address too long'),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+];
+
+const auditValidators = {
+  list: [
+    ...auditFilterValidators(),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+
+  export: auditFilterValidators()
+};
+
+// API key validators
+const apiKeyValidators = {
+  create: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+    body('scopes')
+      .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('expiresAt must be a valid ISO 8601 date')
+      .bail()
+      .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+  ],
+
+  revoke: [
+    param('id').isMongoId().withMessage('Invalid API key ID')
+  ]
+};
+
+// Media library validators
+const mediaDetailsValidators = () => [
+  body('alt')
+    .optional()
+    .trim()
+    .isLength({ max: 300 }).withMessage('Alt text cannot exceed 300 characters'),
+
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Caption cannot exceed 1000 characters'),
+
+  body('tags')
+    .optional()
+    .customSanitizer(normalizeTags)
+    .custom(tags => tags.length <= MAX_TAGS).withMessage(`Media can have at most ${MAX_TAGS} tags`)
+    .custom(tags => tags.every(tag => tag.length <= MAX_TAG_LENGTH))
+    .withMessage(`Tags cannot exceed ${MAX_TAG_LENGTH} characters`)
+];
+
+const mediaValidators = {
+  upload: mediaDetailsValidators(),
+
+  list: [
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isLength({ max: MAX_TAG_LENGTH }).withMessage('Tag too long'),
+
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('Search query too long'),
+
+    query('owner')
+      .optional()
+      .isMongoId().withMessage('Invalid owner ID'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+
+  orphans: [
+    query('dryRun')
+      .optional()
+      .isBoolean().withMessage('dryRun must be a boolean')
+      .toBoolean(),
+
+    query('includeLibrary')
+      .optional()
+      .isBoolean().withMessage('includeLibrary must be a boolean')
+      .toBoolean(),
+
+    query('olderThanHours')
+      .optional()
+      .isInt({ min: 0 }).withMessage('olderThanHours must be a non-negative integer')
+      .toInt(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000')
+      .toInt()
+  ],
+
+  deletions: [
+    query('status')
+      .optional()
+      .isIn(['pending', 'failed']).withMessage('Invalid status')
+  ],
+
+  getById: [
+    param('id').isMongoId().withMessage('Invalid media ID')
+  ],
+
+  update: [
+    param('id').isMongoId().withMessage('Invalid media ID'),
+
+    ...mediaDetailsValidators()
+  ],
+
+  delete: [
+    param('id').isMongoId().withMessage('Invalid media ID')
+  ]
+};
+
+module.exports = {
+  postValidators,
+  feedValidators,
+  seoValidators,
+  categoryValidators,
+  tagValidators,
+  commentValidators,
+  moderationValidators,
+  userValidators,
+  authValidators,
+  mediaValidators,
+  reactionValidators,
+  readingValidators,
+  authorValidators,
+  notificationValidators,
+  webhookValidators,
+  auditValidators,
+  apiKeyValidators
+};
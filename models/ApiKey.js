@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_PREFIX, API_KEY_SCOPES } = require('../utils/apiKeys');
+const { hashToken } = require('../utils/tokens');
+
+// How often lastUsedAt is written, so busy keys don't write on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const ApiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // SHA-256 of the key, the raw value is only shown once when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Start of the key, enough to recognise it in a list
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Null for keys that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ user: 1, createdAt: -1 });
+
+const keyStatus = (key, now = new Date()) => {
+  if (key.revokedAt) return 'revoked';
+  if (key.expiresAt && key.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+// Include whether the key still works, and never the hash
+ApiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    ret.status = keyStatus(ret);
+    return ret;
+  }
+});
+
+// Create a key for a user, resolves to { apiKey, key } where key is the raw
+// value to hand out
+ApiKeySchema.statics.issue = async function({ user, name, scopes, expiresAt }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt: expiresAt || null,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8)
+  });
+  return { apiKey, key };
+};
+
+// The unrevoked, unexpired key matching a raw value, or null
+ApiKeySchema.statics.findActive = function(key, now = new Date()) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+};
+
+// Record that the key was used
+ApiKeySchema.methods.touch = function(now = new Date()) {
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION) return Promise.resolve();
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now });
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
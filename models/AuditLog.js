@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+
+// One recorded action. Entries are append-only: nothing in the app updates
+// or deletes them, and the hooks below refuse it.
+const AuditLogSchema = new mongoose.Schema({
+  // Empty for anonymous actions such as a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: AUDIT_TARGET_TYPES
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Heading or name at the time, still readable after the record is deleted
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Only the fields that changed, before and after the action
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Anything else worth keeping, e.g. the email tried on a failed login or
+  // the API key a request was made with
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  { document: false, query: true },
+  appendOnly
+);
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A post a reader saved to read later
+const BookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  }
+}, {
+  timestamps: true
+});
+
+BookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, createdAt: -1 });
+BookmarkSchema.index({ post: 1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Root-first chain of parents, used for breadcrumbs and subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }]
+}, {
+  timestamps: true
+});
+
+CategorySchema.index({ ancestors: 1 });
+CategorySchema.index({ parent: 1, name: 1 });
+
+// Derive slug from name
+CategorySchema.pre('validate', function(next) {
+  if (this.name && (!this.slug || this.isModified('name'))) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Rebuild the ancestor chain when the parent changes
+CategorySchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('parent')) return;
+
+  if (!this.parent) {
+    this.ancestors = [];
+  } else {
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+      throw Object.assign(new Error('Parent category not found'), { status: 400 });
+    }
+    if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+      throw Object.assign(new Error('A category cannot be moved under itself'), { status: 400 });
+    }
+    this.ancestors = [...parent.ancestors, parent._id];
+  }
+
+  this.$locals.ancestorsChanged = !this.isNew;
+});
+
+// Cascade a moved category's new ancestor chain to its descendants
+CategorySchema.post('save', async function() {
+  if (!this.$locals.ancestorsChanged) return;
+  this.$locals.ancestorsChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id });
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex(id => id.equals(this._id));
+    descendant.ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)];
+    await descendant.updateOne({ ancestors: descendant.ancestors });
+  }
+});
+
+// IDs of a category and everything below it
+CategorySchema.statics.subtreeIds = async function(categoryId) {
+  const descendantIds = await this.find({ ancestors: categoryId }).distinct('_id');
+  return [categoryId, ...descendantIds];
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
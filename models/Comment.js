@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Setting = require('./Setting');
+
+// Replies deeper than this are rejected to keep threads readable
+const MAX_DEPTH = 5;
+
+const CommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Direct parent for replies, null for top level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top level comment of the thread, null for top level comments
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    max: [MAX_DEPTH, `Replies cannot be nested more than ${MAX_DEPTH} levels deep`]
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  editedAt: {
+    type: Date
+  },
+  // Deleted comments with replies are kept as placeholders so threads stay intact
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+CommentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+CommentSchema.index({ root: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: 1 });
+
+// Whether new comments wait in the moderation queue (admin setting, env default)
+CommentSchema.statics.isModerationEnabled = function() {
+  return Setting.getValue('comments.moderation', process.env.COMMENT_MODERATION === 'true');
+};
+
+// Hide the body of deleted placeholders
+CommentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.deleted) {
+      ret.body = null;
+      ret.author = null;
+    }
+    return ret;
+  }
+});
+
+// Delete all of a user's comments. Those with replies are kept as deleted
+// placeholders, as when a comment is deleted on its own, so threads stay intact.
+CommentSchema.statics.removeForUser = async function(userId) {
+  const ids = await this.find({ author: userId }).distinct('_id');
+  if (!ids.length) return 0;
+
+  const withReplies = await this.find({ parent: { $in: ids } }).distinct('parent');
+  await this.updateMany({ _id: { $in: withReplies } }, { deleted: true, body: '[deleted]' });
+
+  const result = await this.deleteMany({ _id: { $in: ids, $nin: withReplies } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// follower follows following
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required']
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed author is required']
+  }
+}, {
+  timestamps: true
+});
+
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ following: 1, createdAt: -1 });
+
+// Follower and following counts for a user
+FollowSchema.statics.countsFor = async function(userId) {
+  const [followers, following] = await Promise.all([
+    this.countDocuments({ following: userId }),
+    this.countDocuments({ follower: userId })
+  ]);
+  return { followers, following };
+};
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const MediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  // Storage driver that holds the file and the key it was stored under
+  driver: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // How the file arrived: library uploads are kept until deleted, the rest
+  // are removed by the orphan sweep once nothing references them
+  origin: {
+    type: String,
+    enum: ['library', 'post-image', 'avatar'],
+    default: 'library'
+  },
+  filename: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    default: ''
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Alt text cannot exceed 300 characters'],
+    default: ''
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Caption cannot exceed 1000 characters'],
+    default: ''
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }]
+}, {
+  timestamps: true
+});
+
+MediaSchema.index({ owner: 1, createdAt: -1 });
+MediaSchema.index({ tags: 1 });
+MediaSchema.index({ url: 1 });
+MediaSchema.index({ origin: 1, createdAt: 1 });
+
+// Load media items by id that the user may attach to a post: their own, or any for
+// admins signed in without an API key. Resolves to null when one of the ids is
+// missing or not allowed.
+MediaSchema.statics.findAttachable = async function(ids, user) {
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.length) return [];
+
+  const filter = { _id: { $in: unique } };
+  if (user.role !== 'admin' || user.apiKey) filter.owner = user.id;
+
+  const items = await this.find(filter);
+  return items.length === unique.length ? items : null;
+};
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  // Who caused it, empty for system events like scheduled publishing
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
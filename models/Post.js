@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const { renderMarkdown } = require('../utils/markdown');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
 
 const PostSchema = new mongoose.Schema({
   heading: {
@@ -8,15 +13,97 @@ const PostSchema = new mongoose.Schema({
     minlength: [3, 'Heading must be at least 3 characters'],
     maxlength: [200, 'Heading cannot exceed 200 characters']
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Old slugs that should keep resolving to this post
+  previousSlugs: {
+    type: [String],
+    index: true
+  },
+  // Markdown source
   description: {
     type: String,
     required: [true, 'Description is required'],
     trim: true,
     minlength: [10, 'Description must be at least 10 characters']
   },
+  // Derived from description on save, never set directly
+  descriptionHtml: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  readingTime: {
+    type: Number,
+    default: 0
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
+  // Legacy single image URL, superseded by coverImage
   image: {
     type: String,
     default: ''
+  },
+  coverImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  // Ordered media library items shown with the post
+  gallery: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  // Only enforced on new posts, so posts from before authors were tracked
+  // stay editable until scripts/migrate-legacy-data.js assigns them one
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.isNew; }, 'Author is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: POST_STATUSES,
+      message: 'Invalid status'
+    },
+    default: 'published'
+  },
+  publishAt: {
+    type: Date
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }],
+  // Denormalised engagement counters, kept in step by the reaction and view routes
+  reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])),
+  viewCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -25,5 +112,135 @@ const PostSchema = new mongoose.Schema({
 // Index for better search performance
 PostSchema.index({ heading: 'text', description: 'text' });
 PostSchema.index({ createdAt: -1 });
+PostSchema.index({ author: 1, createdAt: -1 });
+PostSchema.index({ status: 1, publishAt: -1 });
+PostSchema.index({ tags: 1 });
+PostSchema.index({ category: 1 });
+PostSchema.index({ coverImage: 1 }, { sparse: true });
+PostSchema.index({ gallery: 1 });
+PostSchema.index({ 'reactionCounts.like': -1 });
+PostSchema.index({ viewCount: -1 });
+
+// Generate a slug from the heading, retiring the old one into previousSlugs
+PostSchema.pre('validate', async function() {
+  if (!this.heading || (this.slug && !this.isModified('heading'))) return;
+
+  const slug = await this.generateUniqueSlug();
+  if (slug === this.slug) return;
+
+  if (this.slug) this.previousSlugs.addToSet(this.slug);
+  this.previousSlugs.pull(slug);
+  this.slug = slug;
+});
+
+// Keep publishAt consistent with the lifecycle status
+PostSchema.pre('validate', function(next) {
+  const now = new Date();
+
+  if (this.status === 'published') {
+    // Publishing a draft or an early scheduled post goes live now
+    if (!this.publishAt || (this.isModified('status') && this.publishAt > now)) {
+      this.publishAt = now;
+    }
+  }
+
+  if (this.status === 'scheduled') {
+    if (!this.publishAt) {
+      this.invalidate('publishAt', 'Scheduled posts require a publish date');
+    } else if ((this.isModified('status') || this.isModified('publishAt')) && this.publishAt <= now) {
+      this.invalidate('publishAt', 'Publish date must be in the future');
+    }
+  }
+
+  next();
+});
+
+// Render the Markdown body and refresh the computed reading fields
+PostSchema.pre('save', function(next) {
+  if (this.isModified('description') || !this.descriptionHtml) {
+    const rendered = renderMarkdown(this.description);
+    this.descriptionHtml = rendered.html;
+    this.excerpt = rendered.excerpt;
+    this.wordCount = rendered.wordCount;
+    this.readingTime = rendered.readingTime;
+    this.toc = rendered.toc;
+  }
+  next();
+});
+
+// Query filter for posts readers are allowed to see. Scheduled posts whose
+// publish time has passed count as published even before the scheduler runs.
+// Posts from before statuses existed have none and count as published until
+// scripts/migrate-legacy-data.js backfills them.
+PostSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ['published', null] } },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ]
+  };
+};
+
+// Flip due scheduled posts to published, returns the posts that were published
+PostSchema.statics.publishScheduled = async function(now = new Date()) {
+  const due = await this.find({ status: 'scheduled', publishAt: { $lte: now } }).select('_id').lean();
+
+  // Claim posts one at a time so overlapping runs never publish a post twice
+  const published = [];
+  for (const { _id } of due) {
+    const post = await this.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { status: 'published' },
+      { new: true, projection: 'heading slug status publishAt author category tags createdAt updatedAt' }
+    );
+    if (post) published.push(post);
+  }
+  return published;
+};
+
+// One page of posts matching filter ordered by views since `since` (then by
+// all-time views). Each post gets a weeklyViews field. Returns plain objects.
+PostSchema.statics.findTrending = function(filter, { since, skip = 0, limit = 10 }) {
+  return this.aggregate([
+    { $match: this.find(filter).cast(this) },
+    {
+      $lookup: {
+        from: 'postviews',
+        let: { postId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$post', '$$postId'] }, { $gte: ['$createdAt', since] }] } } },
+          { $count: 'views' }
+        ],
+        as: 'recentViews'
+      }
+    },
+    { $addFields: { weeklyViews: { $ifNull: [{ $arrayElemAt: ['$recentViews.views', 0] }, 0] } } },
+    { $project: { recentViews: 0 } },
+    { $sort: { weeklyViews: -1, viewCount: -1, _id: -1 } },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+};
+
+// Find a slug not used (now or previously) by any other post
+PostSchema.methods.generateUniqueSlug = async function() {
+  const base = slugify(this.heading) || 'post';
+  let candidate = base;
+  let suffix = 2;
+
+  while (await this.constructor.exists({
+    _id: { $ne: this._id },
+    $or: [{ slug: candidate }, { previousSlugs: candidate }]
+  })) {
+    candidate = `${base}-${suffix++}`;
+  }
+
+  return candidate;
+};
+
+PostSchema.methods.isVisible = function(now = new Date()) {
+  if (this.status === 'published') return true;
+  return this.status === 'scheduled' && Boolean(this.publishAt) && this.publishAt <= now;
+};
 
 module.exports = mongoose.model('Post', PostSchema);
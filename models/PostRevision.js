@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Post fields captured in each revision
+const TRACKED_FIELDS = ['heading', 'description', 'image', 'status', 'publishAt', 'category', 'tags'];
+
+// Fields a restore copies back. Status and publishAt stay as they are so restoring
+// old content never unpublishes a post, and replaced images are already deleted.
+const RESTORABLE_FIELDS = ['heading', 'description', 'category', 'tags'];
+
+const PostRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequential per post, starting at 1 for the original version
+  revision: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [String],
+  // Values of the tracked fields after this revision was saved
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+PostRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+PostRevisionSchema.statics.snapshotOf = function(post) {
+  const plain = post.toObject({ depopulate: true });
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, plain[field] ?? null]));
+};
+
+// Tracked fields modified on a post document that hasn't been saved yet
+PostRevisionSchema.statics.modifiedFields = function(post) {
+  return TRACKED_FIELDS.filter(field => post.isModified(field));
+};
+
+// Store the post's current state as its next revision
+PostRevisionSchema.statics.record = async function(post, editorId, changedFields, extra = {}) {
+  const snapshot = this.snapshotOf(post);
+
+  // Retry on the unique index in case two edits race for the same number
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort('-revision').select('revision');
+    try {
+      return await this.create({
+        post: post._id,
+        revision: (latest?.revision || 0) + 1,
+        editor: editorId,
+        changedFields,
+        snapshot,
+        ...extra
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record post revision');
+};
+
+// Snapshot values to apply when restoring this revision
+PostRevisionSchema.methods.restorableData = function() {
+  return Object.fromEntries(RESTORABLE_FIELDS.map(field => [field, this.snapshot[field] ?? null]));
+};
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
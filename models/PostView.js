@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Views older than this are purged, which also bounds the "this week" window
+const RETENTION_DAYS = 30;
+
+// One document per post, viewer and UTC day. Repeat views on the same day
+// hit the unique index and are not counted again.
+const PostViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // User ID for signed in readers, a hash of IP and user agent otherwise
+  viewer: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PostViewSchema.index({ post: 1, viewer: 1, day: 1 }, { unique: true });
+PostViewSchema.index({ post: 1, createdAt: -1 });
+PostViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Record a view, resolves to true when it is the viewer's first view today
+PostViewSchema.statics.record = async function(postId, viewer, now = new Date()) {
+  const result = await this.updateOne(
+    { post: postId, viewer, day: now.toISOString().slice(0, 10) },
+    { $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+module.exports = mongoose.model('PostView', PostViewSchema);
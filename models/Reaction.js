@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+const ReactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: REACTION_TYPES,
+      message: 'Invalid reaction'
+    },
+    required: [true, 'Reaction type is required']
+  }
+}, {
+  timestamps: true
+});
+
+// One reaction of each type per user and post
+ReactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+ReactionSchema.index({ user: 1, createdAt: -1 });
+
+// Delete all of a user's reactions and take them off the posts' counters
+ReactionSchema.statics.removeForUser = async function(userId) {
+  const reactions = await this.find({ user: userId }).select('post type').lean();
+  if (!reactions.length) return 0;
+
+  await mongoose.model('Post').bulkWrite(reactions.map(({ post, type }) => ({
+    updateOne: {
+      filter: { _id: post },
+      update: { $inc: { [`reactionCounts.${type}`]: -1 } },
+      timestamps: false
+    }
+  })));
+
+  const result = await this.deleteMany({ _id: { $in: reactions.map(reaction => reaction._id) } });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('Reaction', ReactionSchema);
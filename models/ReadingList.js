@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const MAX_ITEMS = 500;
+
+// A named, ordered collection of posts. Shared lists can be read by anyone
+// holding the share link; private ones only by their owner.
+const ReadingListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  },
+  // Unguessable ID used in share links
+  shareId: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(12).toString('base64url')
+  },
+  items: {
+    type: [{
+      _id: false,
+      post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: [items => items.length <= MAX_ITEMS, `A list can hold at most ${MAX_ITEMS} posts`]
+  }
+}, {
+  timestamps: true
+});
+
+ReadingListSchema.index({ owner: 1, createdAt: -1 });
+ReadingListSchema.index({ 'items.post': 1 });
+
+// Populate options for items, leaving posts readers can't see as null
+ReadingListSchema.statics.itemsPopulate = function() {
+  return {
+    path: 'items.post',
+    select: 'heading slug excerpt readingTime image coverImage author category tags publishAt',
+    match: mongoose.model('Post').visibleFilter(),
+    populate: [
+      { path: 'author', select: 'name avatar' },
+      { path: 'category', select: 'name slug' },
+      { path: 'coverImage', select: 'url alt width height' }
+    ]
+  };
+};
+
+ReadingListSchema.methods.hasPost = function(postId) {
+  return this.items.some(item => item.post.equals(postId));
+};
+
+// Add a post at position (default end), no-op when it's already listed
+ReadingListSchema.methods.addPost = function(postId, position = this.items.length) {
+  if (this.hasPost(postId)) return false;
+  this.items.splice(Math.min(position, this.items.length), 0, { post: postId });
+  return true;
+};
+
+// Move the posts in postIds to the front in that order. Posts left out keep
+// their relative order after them, so posts the owner can't currently see
+// (unpublished since they were added) don't block reordering the rest.
+ReadingListSchema.methods.reorder = function(postIds) {
+  const current = new Map(this.items.map(item => [item.post.toString(), item]));
+  const unique = new Set(postIds.map(String));
+
+  if (unique.size !== postIds.length || ![...unique].every(id => current.has(id))) {
+    throw Object.assign(new Error('Order must list posts in the list at most once'), { status: 400 });
+  }
+
+  const rest = this.items.filter(item => !unique.has(item.post.toString()));
+  this.items = [...unique].map(id => current.get(id)).concat(rest)
+    .map(({ post, addedAt }) => ({ post, addedAt }));
+};
+
+module.exports = mongoose.model('ReadingList', ReadingListSchema);
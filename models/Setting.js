@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Site-wide settings admins can change at runtime
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to defaultValue when it was never set
+SettingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+SettingSchema.statics.setValue = async function(key, value) {
+  await this.findOneAndUpdate({ key }, { value }, { upsert: true });
+  return value;
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { MAX_ATTEMPTS, nextAttemptAt } = require('../utils/retry');
+
+// A stored file whose deletion failed and is waiting to be retried
+const StorageDeletionSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    required: true
+  },
+  // Storage key, or the URL for legacy uploads recorded before the media library
+  key: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+StorageDeletionSchema.index({ driver: 1, key: 1 }, { unique: true });
+StorageDeletionSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Queue a deletion after a failed attempt, or record another failure for a queued
+// one. Entries that run out of attempts are left failed for an admin.
+StorageDeletionSchema.statics.recordFailure = async function({ driver, key }, error, now = new Date()) {
+  const entry = await this.findOneAndUpdate(
+    { driver, key },
+    { $inc: { attempts: 1 }, $set: { lastError: error.message || String(error) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  entry.status = entry.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  entry.nextAttemptAt = nextAttemptAt(entry.attempts, now);
+  return entry.save();
+};
+
+module.exports = mongoose.model('StorageDeletion', StorageDeletionSchema);
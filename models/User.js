@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+const { hashToken } = require('../utils/tokens');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -28,6 +34,18 @@ const UserSchema = new mongoose.Schema({
     enum: ['admin', 'author'],
     default: 'author'
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
   avatar: {
     type: String,
     default: ''
@@ -35,6 +53,35 @@ const UserSchema = new mongoose.Schema({
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters']
+  },
+  // Notification types the user turned off
+  mutedNotifications: [{
+    type: String,
+    enum: NOTIFICATION_TYPES
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Single-use tokens are stored hashed, the raw value only goes out by email
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -58,4 +105,37 @@ UserSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Generate an email verification token, returns the raw token to send
+UserSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Generate a password reset token, returns the raw token to send
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+UserSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Find the user owning an unexpired token of the given kind
+UserSchema.statics.findByToken = function(kind, token) {
+  const field = kind === 'passwordReset' ? 'passwordReset' : 'emailVerification';
+
+  return this.findOne({
+    [`${field}Token`]: hashToken(token),
+    [`${field}Expires`]: { $gt: new Date() }
+  }).select(`+${field}Token +${field}Expires`);
+};
+
 module.exports = mongoose.model('User', UserSchema);
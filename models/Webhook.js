@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const WebhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Shared secret deliveries are signed with, only shown on create and rotate
+  secret: {
+    type: String,
+    default: generateSecret,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+// Replace the signing secret, returns the new one
+WebhookSchema.methods.rotateSecret = function() {
+  this.secret = generateSecret();
+  return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
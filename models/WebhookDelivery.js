@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+const { MAX_ATTEMPTS, nextAttemptAt } = require('../utils/retry');
+
+// Deliveries are kept this long for the delivery log
+const RETENTION_DAYS = 30;
+
+// One event sent to one webhook, with the outcome of its latest attempt
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: [...WEBHOOK_EVENTS, 'ping'],
+    required: true
+  },
+  // Exactly what is sent as the request body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  // Start of the receiver's response body, for debugging
+  responseBody: {
+    type: String,
+    default: ''
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  duration: {
+    type: Number
+  },
+  // Set on manual redeliveries, points at the delivery that was resent
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Record the outcome of an attempt, scheduling a retry when it failed. Deliveries
+// that run out of attempts are left failed for manual redelivery.
+WebhookDeliverySchema.methods.recordAttempt = function({ responseStatus, responseBody = '', error, duration }, now = new Date()) {
+  this.attempts += 1;
+  this.lastAttemptAt = now;
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody;
+  this.duration = duration;
+  this.lastError = error || '';
+
+  if (!error) {
+    this.status = 'succeeded';
+    this.deliveredAt = now;
+  } else if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = nextAttemptAt(this.attempts, now);
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { auth, requireSession } = require('../middleware/auth');
+const { apiKeyValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { audit, apiKeyTarget } = require('../utils/audit');
+
+// Active and expired keys a user can hold at once
+const MAX_KEYS_PER_USER = 20;
+
+// Keys are managed from a signed in session, a key can't mint or revoke keys
+router.use(auth, requireSession);
+
+/**
+ * @openapi
+ * /api/api-keys:
+ *   get:
+ *     summary: Your API keys, newest first (the keys themselves are never shown again)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys with their status (active, expired or revoked)
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create an API key for scripts and CI jobs
+ *     description: |
+ *       The key is returned once. Send it as "Authorization Bearer <key>" or in the
+ *       X-API-Key header. It acts as you, limited to its scopes, and cannot be used
+ *       for admin actions or account settings.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI import job
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [posts:read, posts:write, comments:write, media:read, media:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Leave out for a key that never expires
+ *     responses:
+ *       201:
+ *         description: API key created, includes the key
+ *       400:
+ *         description: Validation error or too many keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', apiKeyValidators.create, validate, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const keyCount = await ApiKey.countDocuments({ user: req.user.id, revokedAt: null });
+    if (keyCount >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_KEYS_PER_USER} API keys, revoke one first`
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+      user: req.user.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    await audit(req, 'api-key.create', {
+      target: apiKeyTarget(apiKey),
+      after: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created, copy it now as it will not be shown again',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke one of your API keys
+ *     description: The key stops working immediately and stays listed as revoked.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', apiKeyValidators.revoke, validate, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      await audit(req, 'api-key.revoke', { target: apiKeyTarget(apiKey) });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { auth, adminAuth } = require('../middleware/auth');
+const { auditValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { toCsv } = require('../utils/csv');
+
+// Largest CSV export in one request, narrow the filters for more
+const MAX_EXPORT_ROWS = 10000;
+
+const ACTOR_FIELDS = 'name email role';
+
+const CSV_COLUMNS = [
+  { header: 'time', value: entry => entry.createdAt },
+  { header: 'action', value: entry => entry.action },
+  { header: 'actorId', value: entry => entry.actor?._id },
+  { header: 'actorName', value: entry => entry.actor?.name },
+  { header: 'actorEmail', value: entry => entry.actor?.email },
+  { header: 'targetType', value: entry => entry.target?.type },
+  { header: 'targetId', value: entry => entry.target?.id },
+  { header: 'targetLabel', value: entry => entry.target?.label },
+  { header: 'ip', value: entry => entry.ip },
+  { header: 'userAgent', value: entry => entry.userAgent },
+  { header: 'before', value: entry => entry.before },
+  { header: 'after', value: entry => entry.after },
+  { header: 'details', value: entry => entry.details }
+];
+
+// Build the MongoDB filter from the validated query string
+const buildAuditFilter = ({ action, actor, targetType, targetId, ip, from, to }) => {
+  const filter = {};
+
+  if (action?.length) filter.action = { $in: action };
+  if (actor) filter.actor = actor;
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (ip) filter.ip = ip;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// The audit log is admin only
+router.use(auth, adminAuth);
+
+/**
+ * @openapi
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log, newest first (admin only)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: One action or a comma separated list, e.g. auth.login-failed,post.delete
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [post, user, api-key]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', auditValidators.list, validate, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildAuditFilter(req.query);
+
+    const entries = await AuditLog.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('actor', ACTOR_FIELDS)
+      .lean();
+
+    const totalEntries = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        totalPages: Math.ceil(totalEntries / Number(limit)),
+        currentPage: Number(page),
+        totalEntries,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalEntries
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/audit/export:
+ *   get:
+ *     summary: Download matching audit entries as CSV (admin only)
+ *     description: Returns at most 10000 entries, newest first. X-Export-Truncated is true when more matched.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: One action or a comma separated list, e.g. auth.login-failed,post.delete
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [post, user, api-key]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/export', auditValidators.export, validate, async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+
+    const entries = await AuditLog.find(filter)
+      .sort('-createdAt')
+      .limit(MAX_EXPORT_ROWS + 1)
+      .populate('actor', ACTOR_FIELDS)
+      .lean();
+
+    const truncated = entries.length > MAX_EXPORT_ROWS;
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Export-Truncated': String(truncated)
+    });
+    res.send(toCsv(entries.slice(0, MAX_EXPORT_ROWS), CSV_COLUMNS));
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { issueSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { auth, requireSession } = require('../middleware/auth');
+const { authLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { imageUpload } = require('../middleware/upload');
+const { recordUpload, removeMedia, releaseImage } = require('../utils/media');
+const { dispatchEvent, serializeUser } = require('../utils/webhooks');
+const { audit, userTarget } = require('../utils/audit');
 const { authValidators } = require('../middleware/validators');
 const validate = require('../middleware/validate');
 
@@ -29,18 +35,15 @@ const validate = require('../middleware/validate');
  *                 type: string
  *               password:
  *                 type: string
- *               role:
- *                 type: string
- *                 enum: [admin, author]
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, returns an access token and a refresh token
  *       400:
  *         description: Validation error or user already exists
  */
-router.post('/register', authValidators.register, validate, async (req, res) => {
+router.post('/register', authLimiter, authValidators.register, validate, async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user exists
     let user = await User.findOne({ email });
@@ -53,28 +56,35 @@ router.post('/register', authValidators.register, validate, async (req, res) =>
       name,
       email,
       password,
-      role: role || 'author'
+      // Public sign-ups are always authors, admins promote through /api/users
+      role: 'author'
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Create JWT payload
-    const payload = {
-      id: user._id,
-      role: user.role
-    };
+    // A mail failure shouldn't fail the registration, the user can resend
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    await audit(req, 'auth.register', { actor: user._id, target: userTarget(user) });
+    await dispatchEvent('user.registered', serializeUser(user));
 
-    // Sign token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Start a session: short-lived access token + rotating refresh token
+    const tokens = await issueSession(user, req);
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -105,43 +115,51 @@ router.post('/register', authValidators.register, validate, async (req, res) =>
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, returns an access token and a refresh token
  *       400:
  *         description: Invalid credentials
  */
-router.post('/login', authValidators.login, validate, async (req, res) => {
+router.post('/login', authLimiter, authValidators.login, validate, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Check if user exists (include password field)
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await audit(req, 'auth.login-failed', { details: { email, reason: 'unknown-email' } });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await audit(req, 'auth.login-failed', {
+        target: userTarget(user),
+        details: { email, reason: 'wrong-password' }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT payload
-    const payload = {
-      id: user._id,
-      role: user.role
-    };
+    if (user.status === 'suspended') {
+      await audit(req, 'auth.login-failed', {
+        target: userTarget(user),
+        details: { email, reason: 'suspended' }
+      });
+      return res.status(403).json({ message: 'Account suspended' });
+    }
 
-    // Sign token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const tokens = await issueSession(user, req);
+    await audit(req, 'auth.login', { actor: user._id, target: userTarget(user) });
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -150,6 +168,279 @@ router.post('/login', authValidators.login, validate, async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single use. Reusing a rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', authValidators.refresh, validate, async (req, res) => {
+  try {
+    const { user, ...tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, requireSession, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, 'logout-all');
+    res.json({ success: true, message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/verify-email', authValidators.verifyEmail, validate, async (req, res) => {
+  try {
+    const user = await User.findByToken('emailVerification', req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post('/resend-verification', auth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always responds with success so it can't be used to discover accounts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', authLimiter, authValidators.forgotPassword, validate, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      // Answer the same whether or not sending worked, so the response
+      // never reveals which addresses have an account
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: The token works once. All existing sessions are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/reset-password', authLimiter, authValidators.resetPassword, validate, async (req, res) => {
+  try {
+    const user = await User.findByToken('passwordReset', req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) user.markEmailVerified();
+
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change');
+    await audit(req, 'auth.password-reset', { actor: user._id, target: userTarget(user) });
+
+    res.json({ success: true, message: 'Password reset successfully, please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @openapi
  * /api/auth/me:
@@ -163,8 +454,10 @@ router.post('/login', authValidators.login, validate, async (req, res) => {
  *         description: User data retrieved
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: API keys cannot be used here
  */
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, requireSession, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
     
@@ -179,4 +472,163 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update your profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 2-50 characters
+ *               bio:
+ *                 type: string
+ *                 description: Up to 500 characters
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: Avatar image (jpg, jpeg, png, gif, webp - max 5MB)
+ *               removeAvatar:
+ *                 type: boolean
+ *                 description: Clear the current avatar
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               removeAvatar:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/me',
+  auth,
+  requireSession,
+  uploadLimiter,
+  imageUpload.single('avatar'),
+  authValidators.updateProfile,
+  validate,
+  async (req, res) => {
+    // Upload made for this request, removed again if the profile isn't saved
+    let uploadedAvatar = null;
+
+    try {
+      const { name, bio, removeAvatar } = req.body;
+      const user = await User.findById(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const previousAvatar = user.avatar;
+
+      if (name !== undefined) user.name = name;
+      if (bio !== undefined) user.bio = bio;
+
+      if (req.file) {
+        uploadedAvatar = await recordUpload(req.file, user._id, { origin: 'avatar', alt: user.name });
+        user.avatar = uploadedAvatar.url;
+      } else if (removeAvatar) {
+        user.avatar = '';
+      }
+
+      await user.save();
+      uploadedAvatar = null;
+
+      if (previousAvatar && previousAvatar !== user.avatar) {
+        await releaseImage(previousAvatar);
+      }
+
+      res.json({
+        success: true,
+        message: 'Profile updated',
+        user: await User.findById(user._id).select('-password')
+      });
+    } catch (error) {
+      if (uploadedAvatar) await removeMedia(uploadedAvatar);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: 'Invalid profile data' });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Profile conflicts with an existing account' });
+      }
+
+      console.error('Update profile error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change your password
+ *     description: Requires the current password. Signs out every other session; the current one stays signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', auth, requireSession, authValidators.changePassword, validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-change', { except: req.user.sid });
+    await audit(req, 'auth.password-change', { target: userTarget(user) });
+
+    res.json({ success: true, message: 'Password changed, other sessions have been signed out' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const { auth, optionalAuth, requireSession } = require('../middleware/auth');
+const { authorValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { notify } = require('../utils/notifications');
+
+// Profile fields safe to show publicly
+const PROFILE_FIELDS = 'name avatar bio role createdAt';
+
+// Load :id into req.author. Suspended authors 404 unless allowSuspended, which
+// unfollowing needs so readers can still drop someone suspended since.
+const loadAuthor = ({ allowSuspended = false } = {}) => async (req, res, next) => {
+  try {
+    const filter = allowSuspended ? { _id: req.params.id } : { _id: req.params.id, status: { $ne: 'suspended' } };
+    const author = await User.findOne(filter)
+      .select(PROFILE_FIELDS)
+      .lean();
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    req.author = author;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Follower counts plus, for signed in readers, whether they follow the author
+const followSummary = async (authorId, user) => {
+  const counts = await Follow.countsFor(authorId);
+  const isFollowing = user
+    ? Boolean(await Follow.exists({ follower: user.id, following: authorId }))
+    : undefined;
+
+  return { followerCount: counts.followers, followingCount: counts.following, isFollowing };
+};
+
+/**
+ * @openapi
+ * /api/authors/{id}:
+ *   get:
+ *     summary: Public author page - profile plus published posts
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Author (user) ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Author profile and posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 author:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     avatar:
+ *                       type: string
+ *                     bio:
+ *                       type: string
+ *                     postCount:
+ *                       type: integer
+ *                     followerCount:
+ *                       type: integer
+ *                     followingCount:
+ *                       type: integer
+ *                     isFollowing:
+ *                       type: boolean
+ *                       description: Only present when signed in
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Author not found
+ */
+router.get('/:id', optionalAuth, authorValidators.profile, validate, loadAuthor(), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const author = req.author;
+
+    const filter = { $and: [{ author: author._id }, Post.visibleFilter()] };
+
+    const posts = await Post.find(filter)
+      .sort('-publishAt -createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .select('-description -descriptionHtml -toc -previousSlugs')
+      .populate('category', 'name slug')
+      .populate('coverImage', 'url alt caption width height')
+      .lean();
+
+    const totalPosts = await Post.countDocuments(filter);
+
+    res.json({
+      success: true,
+      author: {
+        ...author,
+        postCount: totalPosts,
+        ...(await followSummary(author._id, req.user))
+      },
+      posts,
+      pagination: {
+        totalPages: Math.ceil(totalPosts / Number(limit)),
+        currentPage: Number(page),
+        totalPosts,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalPosts
+      }
+    });
+  } catch (error) {
+    console.error('Get author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/authors/{id}/follow:
+ *   put:
+ *     summary: Follow an author (idempotent)
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Following the author, with updated counts
+ *       400:
+ *         description: You cannot follow yourself
+ *       404:
+ *         description: Author not found
+ *   delete:
+ *     summary: Unfollow an author
+ *     tags: [Authors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: No longer following the author, with updated counts
+ *       404:
+ *         description: Author not found
+ */
+router.put('/:id/follow', auth, requireSession, authorValidators.follow, validate, loadAuthor(), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const result = await Follow.updateOne(
+      { follower: req.user.id, following: req.author._id },
+      { $setOnInsert: { follower: req.user.id, following: req.author._id } },
+      { upsert: true }
+    ).catch(error => {
+      // A concurrent request already followed
+      if (error.code === 11000) return { upsertedCount: 0 };
+      throw error;
+    });
+
+    if (result.upsertedCount) {
+      await notify({
+        recipient: req.author._id,
+        type: 'follow',
+        actor: req.user.id,
+        message: 'You have a new follower'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `You are now following ${req.author.name}`,
+      ...(await followSummary(req.author._id, req.user))
+    });
+  } catch (error) {
+    console.error('Follow author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/:id/follow', auth, requireSession, authorValidators.follow, validate, loadAuthor({ allowSuspended: true }), async (req, res) => {
+  try {
+    await Follow.deleteOne({ follower: req.user.id, following: req.author._id });
+
+    res.json({
+      success: true,
+      message: `You are no longer following ${req.author.name}`,
+      ...(await followSummary(req.author._id, req.user))
+    });
+  } catch (error) {
+    console.error('Unfollow author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { auth, adminAuth } = require('../middleware/auth');
+const { categoryValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+
+// Nest a flat category list under its parents
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * @openapi
+ * /api/categories:
+ *   get:
+ *     summary: Get all categories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *         description: Return categories nested under their parents
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find().sort('name').lean();
+
+    res.json({
+      success: true,
+      categories: req.query.tree === 'true' ? buildTree(categories) : categories
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Get category by ID with its ancestors and children
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id', categoryValidators.getById, validate, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+      .populate('ancestors', 'name slug')
+      .lean();
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const children = await Category.find({ parent: category._id }).sort('name').lean();
+
+    res.json({
+      success: true,
+      category: { ...category, children }
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/categories:
+ *   post:
+ *     summary: Create a category (admin only)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin only
+ */
+router.post('/', auth, adminAuth, categoryValidators.create, validate, async (req, res) => {
+  try {
+    const { name, description, parent } = req.body;
+
+    const category = new Category({
+      name,
+      description,
+      parent: parent || null
+    });
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code === 11000 ? 'Category already exists' : error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update or move a category (admin only)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: New parent category ID (empty for a top level category)
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Category not found
+ */
+router.put('/:id', auth, adminAuth, categoryValidators.update, validate, async (req, res) => {
+  try {
+    const { name, description, parent } = req.body;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (name) category.name = name;
+    if (description !== undefined) category.description = description;
+    if (parent !== undefined) category.parent = parent || null;
+
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code === 11000 ? 'Category already exists' : error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category (admin only)
+ *     description: Categories with subcategories cannot be deleted. Posts in the category become uncategorized.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category has subcategories
+ */
+router.delete('/:id', auth, adminAuth, categoryValidators.delete, validate, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move or delete the subcategories first'
+      });
+    }
+
+    await Post.updateMany({ category: category._id }, { category: null });
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+// Mounted under /api/posts/:id/comments, so keep the parent's :id param
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const { auth, optionalAuth, requireVerified, requireScope, isAdmin, isOwnerOrAdmin } = require('../middleware/auth');
+const { commentLimiter } = require('../middleware/rateLimiter');
+const { commentValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { loadReadablePost } = require('../middleware/loadPost');
+const { notifyCommentPosted } = require('../utils/notifications');
+
+const AUTHOR_FIELDS = 'name avatar';
+
+// Approved comments, plus the current user's own comments still in the queue
+const visibleCommentsFilter = (user) => {
+  if (!user) return { status: 'approved' };
+  return {
+    $or: [
+      { status: 'approved' },
+      { status: 'pending', author: user.id }
+    ]
+  };
+};
+
+// Nest replies under their parents. Replies whose parent is hidden are dropped.
+const buildThreads = (roots, replies) => {
+  const nodes = new Map();
+  const threads = roots.map(comment => {
+    const node = { ...comment.toJSON(), replies: [] };
+    nodes.set(node._id.toString(), node);
+    return node;
+  });
+
+  replies.forEach(comment => {
+    const node = { ...comment.toJSON(), replies: [] };
+    nodes.set(node._id.toString(), node);
+    const parent = nodes.get(comment.parent.toString());
+    if (parent) parent.replies.push(node);
+  });
+
+  return threads;
+};
+
+/**
+ * @openapi
+ * /api/posts/{id}/comments:
+ *   get:
+ *     summary: Get comment threads for a post
+ *     description: Paginates top level comments (newest first), each with its nested replies.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Top level comments per page
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Post not found
+ */
+router.get('/', optionalAuth, commentValidators.list, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const visible = visibleCommentsFilter(req.user);
+    const filter = { $and: [{ post: req.post._id, parent: null }, visible] };
+
+    const roots = await Comment.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('author', AUTHOR_FIELDS);
+
+    const replies = await Comment.find({ $and: [{ root: { $in: roots.map(c => c._id) } }, visible] })
+      .sort('createdAt')
+      .populate('author', AUTHOR_FIELDS);
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      comments: buildThreads(roots, replies),
+      pagination: {
+        totalPages: Math.ceil(totalComments / Number(limit)),
+        currentPage: Number(page),
+        totalComments,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalComments
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/comments:
+ *   post:
+ *     summary: Comment on a post or reply to a comment
+ *     description: When moderation is enabled, comments from non-admins wait for approval.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 description: Comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created (or queued for moderation)
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Post or parent comment not found
+ */
+router.post('/',
+  auth,
+  requireScope('comments:write'),
+  requireVerified,
+  commentLimiter,
+  commentValidators.create,
+  validate,
+  loadReadablePost('id'),
+  async (req, res) => {
+    try {
+      const { body, parentId } = req.body;
+
+      const commentData = {
+        post: req.post._id,
+        author: req.user.id,
+        body
+      };
+
+      if (parentId) {
+        const parent = await Comment.findOne({
+          _id: parentId,
+          post: req.post._id,
+          status: 'approved',
+          deleted: false
+        });
+
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent comment not found'
+          });
+        }
+
+        commentData.parent = parent._id;
+        commentData.root = parent.root || parent._id;
+        commentData.depth = parent.depth + 1;
+      }
+
+      const moderated = !isAdmin(req.user) && await Comment.isModerationEnabled();
+      commentData.status = moderated ? 'pending' : 'approved';
+
+      const comment = new Comment(commentData);
+      await comment.save();
+      if (!moderated) await notifyCommentPosted(comment);
+      await comment.populate('author', AUTHOR_FIELDS);
+
+      res.status(201).json({
+        success: true,
+        message: moderated ? 'Comment submitted for moderation' : 'Comment added successfully',
+        comment
+      });
+    } catch (error) {
+      console.error('Create comment error:', error);
+      res.status(400).json({
+        success: false,
+        message: 'Error creating comment',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/posts/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit your own comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Not the comment author
+ *       404:
+ *         description: Comment not found
+ */
+router.put('/:commentId', auth, requireScope('comments:write'), commentValidators.update, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.post._id,
+      deleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+
+    // Edits go back through the queue so approved comments can't be swapped out
+    if (!isAdmin(req.user) && await Comment.isModerationEnabled()) {
+      comment.status = 'pending';
+    }
+
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: comment.status === 'pending' ? 'Comment submitted for moderation' : 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment (author or admin)
+ *     description: Comments with replies are replaced by a deleted placeholder.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Not the comment author
+ *       404:
+ *         description: Comment not found
+ */
+router.delete('/:commentId', auth, requireScope('comments:write'), commentValidators.delete, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.post._id,
+      deleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, comment.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can delete this comment'
+      });
+    }
+
+    if (await Comment.exists({ parent: comment._id })) {
+      comment.deleted = true;
+      comment.body = '[deleted]';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
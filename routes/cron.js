@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { cronAuth } = require('../middleware/auth');
+const { retryDeletions, sweepOrphans } = require('../utils/media');
+const { publishScheduledPosts } = require('../utils/posts');
+const { retryDeliveries } = require('../utils/webhooks');
+
+/**
+ * @openapi
+ * /api/cron/publish-scheduled:
+ *   get:
+ *     summary: Publish scheduled posts whose publish date has passed
+ *     description: Called by Vercel Cron (or any scheduler) with "Authorization Bearer CRON_SECRET".
+ *     tags: [Cron]
+ *     responses:
+ *       200:
+ *         description: Number of posts published
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/publish-scheduled', cronAuth, async (req, res) => {
+  try {
+    const published = await publishScheduledPosts();
+
+    res.json({
+      success: true,
+      published
+    });
+  } catch (error) {
+    console.error('Publish scheduled posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cron/media-cleanup:
+ *   get:
+ *     summary: Retry queued file deletions and remove orphaned post images
+ *     description: Library uploads are never swept here, admins can include them through DELETE /api/media/orphans.
+ *     tags: [Cron]
+ *     responses:
+ *       200:
+ *         description: Retry and sweep results
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/media-cleanup', cronAuth, async (req, res) => {
+  try {
+    const retried = await retryDeletions();
+    const { scanned, orphans, deleted, queued } = await sweepOrphans({ dryRun: false });
+
+    res.json({
+      success: true,
+      retried,
+      swept: { scanned, orphans, deleted, queued }
+    });
+  } catch (error) {
+    console.error('Media cleanup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cron/webhooks:
+ *   get:
+ *     summary: Retry webhook deliveries that failed or were never sent
+ *     tags: [Cron]
+ *     responses:
+ *       200:
+ *         description: Retry results
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/webhooks', cronAuth, async (req, res) => {
+  try {
+    const result = await retryDeliveries();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Retry webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const User = require('../models/User');
+const site = require('../config/site');
+const { feedValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { buildPublicPostFilter } = require('../utils/postFilters');
+const { buildRss, buildAtom, buildJsonFeed } = require('../utils/feeds');
+
+const FORMATS = {
+  rss: { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { type: 'application/feed+json; charset=utf-8', build: (feed, posts) => JSON.stringify(buildJsonFeed(feed, posts)) }
+};
+
+// Describe the feed after the filters applied to it
+const feedTitle = async ({ author, tag, category }) => {
+  const parts = [];
+
+  if (author) {
+    const user = await User.findById(author).select('name');
+    if (user) parts.push(`by ${user.name}`);
+  }
+  if (tag) parts.push(`tagged "${tag}"`);
+  if (category) parts.push(`in ${category}`);
+
+  return parts.length ? `${site.title} - posts ${parts.join(', ')}` : site.title;
+};
+
+// Shared handler for every feed format. Supports conditional GET through
+// Last-Modified / If-Modified-Since and ETag / If-None-Match.
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const { author, tag, category, limit = 20 } = req.query;
+    const filter = await buildPublicPostFilter({ author, tag, category });
+
+    // Cheap freshness check before loading the posts. A scheduled post joins
+    // the feed at its publishAt, which can be later than its last update.
+    const [latestUpdate, latestPublish, totalPosts] = await Promise.all([
+      Post.findOne(filter).sort('-updatedAt').select('updatedAt').lean(),
+      Post.findOne(filter).sort('-publishAt').select('publishAt').lean(),
+      Post.countDocuments(filter)
+    ]);
+    const updated = new Date(Math.max(
+      latestUpdate?.updatedAt ?? 0,
+      Math.min(latestPublish?.publishAt ?? 0, Date.now())
+    ));
+
+    res.set({
+      'Last-Modified': updated.toUTCString(),
+      ETag: `W/"${format}-${totalPosts}-${updated.getTime()}"`,
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const posts = await Post.find(filter)
+      .sort('-publishAt -createdAt')
+      .limit(Number(limit))
+      .populate('author', 'name')
+      .populate('category', 'name slug')
+      .populate('coverImage', 'url')
+      .lean();
+
+    const feed = {
+      title: await feedTitle({ author, tag, category }),
+      description: site.description,
+      feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      updated
+    };
+
+    res.type(FORMATS[format].type).send(FORMATS[format].build(feed, posts));
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /feeds/rss.xml:
+ *   get:
+ *     summary: RSS 2.0 feed of the latest published posts
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Only posts by this author ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: RSS feed
+ *       304:
+ *         description: Not modified since the last request
+ */
+router.get('/rss.xml', feedValidators.feed, validate, sendFeed('rss'));
+
+/**
+ * @openapi
+ * /feeds/atom.xml:
+ *   get:
+ *     summary: Atom 1.0 feed of the latest published posts
+ *     description: Accepts the same filters as the RSS feed.
+ *     tags: [Feeds]
+ *     responses:
+ *       200:
+ *         description: Atom feed
+ *       304:
+ *         description: Not modified since the last request
+ */
+router.get('/atom.xml', feedValidators.feed, validate, sendFeed('atom'));
+
+/**
+ * @openapi
+ * /feeds/feed.json:
+ *   get:
+ *     summary: JSON Feed 1.1 of the latest published posts
+ *     description: Accepts the same filters as the RSS feed.
+ *     tags: [Feeds]
+ *     responses:
+ *       200:
+ *         description: JSON feed
+ *       304:
+ *         description: Not modified since the last request
+ */
+router.get('/feed.json', feedValidators.feed, validate, sendFeed('json'));
+
+module.exports = router;
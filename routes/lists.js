@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const ReadingList = require('../models/ReadingList');
+const { readingValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+
+/**
+ * @openapi
+ * /api/lists/{shareId}:
+ *   get:
+ *     summary: A shared reading list, as linked by its owner
+ *     description: Only lists with shared visibility are returned. Unpublished posts are left out.
+ *     tags: [Reading]
+ *     parameters:
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reading list retrieved successfully
+ *       404:
+ *         description: Reading list not found
+ */
+router.get('/:shareId', readingValidators.shared, validate, async (req, res) => {
+  try {
+    const list = await ReadingList.findOne({ shareId: req.params.shareId, visibility: 'shared' })
+      .select('-shareId')
+      .populate('owner', 'name avatar')
+      .populate(ReadingList.itemsPopulate())
+      .lean();
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      list: { ...list, items: list.items.filter(item => item.post) }
+    });
+  } catch (error) {
+    console.error('Get shared reading list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
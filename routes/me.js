@@ -0,0 +1,984 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth, requireSession } = require('../middleware/auth');
+const { readingValidators, authorValidators, notificationValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { loadReadablePost } = require('../middleware/loadPost');
+const { cursorPaginate } = require('../utils/pagination');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+
+// Post fields returned in the feed and with bookmarks
+const POST_FIELDS = 'heading slug excerpt readingTime image coverImage author category tags publishAt';
+const POST_POPULATE = [
+  { path: 'author', select: 'name avatar' },
+  { path: 'category', select: 'name slug' },
+  { path: 'coverImage', select: 'url alt width height' }
+];
+
+// Items whose post was deleted or unpublished populate as null
+const visibleItems = (list) => list.items.filter(item => item.post);
+
+// Load :listId into req.list when it belongs to the current user
+const loadOwnList = async (req, res, next) => {
+  try {
+    const list = await ReadingList.findOne({ _id: req.params.listId, owner: req.user.id });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+
+    req.list = list;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Personal data, not reachable with API keys
+router.use(auth, requireSession);
+
+// ===========================
+// FOLLOWING
+// ===========================
+
+/**
+ * @openapi
+ * /api/me/feed:
+ *   get:
+ *     summary: Posts from authors you follow, newest first
+ *     description: Posts by suspended authors are left out.
+ *     tags: [Following]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor from a previous page
+ *     responses:
+ *       200:
+ *         description: One page of the feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     hasMore:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/feed', authorValidators.feed, validate, async (req, res) => {
+  try {
+    const { limit = 10, cursor } = req.query;
+    const following = await Follow.find({ follower: req.user.id }).distinct('following');
+    const activeAuthors = await User.find({ _id: { $in: following }, status: { $ne: 'suspended' } }).distinct('_id');
+
+    const filter = { $and: [{ author: { $in: activeAuthors } }, Post.visibleFilter()] };
+    const { items, nextCursor, prevCursor, hasMore } = await cursorPaginate(Post, filter, {
+      sort: '-publishAt',
+      limit: Number(limit),
+      cursor,
+      select: POST_FIELDS,
+      populate: POST_POPULATE
+    });
+
+    res.json({
+      success: true,
+      posts: items,
+      pagination: {
+        limit: Number(limit),
+        nextCursor,
+        prevCursor,
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/following:
+ *   get:
+ *     summary: Authors you follow, most recently followed first
+ *     tags: [Following]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Followed authors
+ */
+router.get('/following', authorValidators.following, validate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { follower: req.user.id };
+
+    const follows = await Follow.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('following', 'name avatar bio')
+      .lean();
+
+    const totalFollowing = await Follow.countDocuments(filter);
+
+    res.json({
+      success: true,
+      authors: follows
+        .filter(follow => follow.following)
+        .map(follow => ({ ...follow.following, followedAt: follow.createdAt })),
+      pagination: {
+        totalPages: Math.ceil(totalFollowing / Number(limit)),
+        currentPage: Number(page),
+        totalFollowing,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalFollowing
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// ===========================
+// NOTIFICATIONS
+// ===========================
+
+// Every notification type mapped to whether the user receives it
+const notificationPreferences = (muted = []) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !muted.includes(type)]));
+
+/**
+ * @openapi
+ * /api/me/notifications:
+ *   get:
+ *     summary: Your notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications with the unread count
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/notifications', notificationValidators.list, validate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const filter = { recipient: req.user.id };
+    if (unread) filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('actor', 'name avatar')
+      .populate('post', 'heading slug')
+      .lean();
+
+    const [totalNotifications, unreadCount] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user.id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        totalPages: Math.ceil(totalNotifications / Number(limit)),
+        currentPage: Number(page),
+        totalNotifications,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalNotifications
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/notifications/unread-count:
+ *   get:
+ *     summary: Number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get('/notifications/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, readAt: null });
+
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/notifications/read-all:
+ *   post:
+ *     summary: Mark all your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked read
+ */
+router.post('/notifications/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      marked: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/notifications/preferences:
+ *   get:
+ *     summary: Which notification types you receive
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Each notification type mapped to true (on) or false (off)
+ *   patch:
+ *     summary: Turn notification types on or off
+ *     description: Types left out of the body keep their current setting.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties:
+ *               type: boolean
+ *             example:
+ *               comment: true
+ *               follow: false
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *       400:
+ *         description: Unknown notification type or non-boolean value
+ */
+router.get('/notifications/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('mutedNotifications').lean();
+
+    res.json({
+      success: true,
+      preferences: notificationPreferences(user?.mutedNotifications)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.patch('/notifications/preferences', notificationValidators.preferences, validate, async (req, res) => {
+  try {
+    const entries = Object.entries(req.body);
+    const muted = entries.filter(([, enabled]) => !enabled).map(([type]) => type);
+    const unmuted = entries.filter(([, enabled]) => enabled).map(([type]) => type);
+
+    // Pull first so a type listed in both updates can't conflict
+    await User.updateOne({ _id: req.user.id }, { $pull: { mutedNotifications: { $in: unmuted } } });
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { mutedNotifications: { $each: muted } } },
+      { new: true }
+    ).select('mutedNotifications').lean();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: notificationPreferences(user?.mutedNotifications)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/notifications/{notificationId}/read:
+ *   patch:
+ *     summary: Mark one of your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/notifications/:notificationId/read', notificationValidators.markRead, validate, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Keep the first read time when marked again
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      notification,
+      unreadCount: await Notification.countDocuments({ recipient: req.user.id, readAt: null })
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// ===========================
+// BOOKMARKS
+// ===========================
+
+/**
+ * @openapi
+ * /api/me/bookmarks:
+ *   get:
+ *     summary: Your bookmarked posts, most recently saved first
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Bookmarks retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/bookmarks', readingValidators.bookmarks, validate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Page and count only bookmarks whose post still exists and is visible
+    const bookmarked = await Bookmark.find({ user: req.user.id }).distinct('post');
+    const visibleIds = await Post.find({ $and: [{ _id: { $in: bookmarked } }, Post.visibleFilter()] }).distinct('_id');
+    const filter = { user: req.user.id, post: { $in: visibleIds } };
+
+    const bookmarks = await Bookmark.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate({ path: 'post', select: POST_FIELDS, match: Post.visibleFilter(), populate: POST_POPULATE })
+      .lean();
+
+    const totalBookmarks = await Bookmark.countDocuments(filter);
+
+    res.json({
+      success: true,
+      bookmarks: bookmarks
+        .filter(bookmark => bookmark.post)
+        .map(bookmark => ({ post: bookmark.post, savedAt: bookmark.createdAt })),
+      pagination: {
+        totalPages: Math.ceil(totalBookmarks / Number(limit)),
+        currentPage: Number(page),
+        totalBookmarks,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalBookmarks
+      }
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/bookmarks/{postId}:
+ *   put:
+ *     summary: Bookmark a post (idempotent)
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post bookmarked
+ *       404:
+ *         description: Post not found
+ *   delete:
+ *     summary: Remove a bookmark
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ */
+router.put('/bookmarks/:postId', readingValidators.bookmark, validate, loadReadablePost('postId'), async (req, res) => {
+  try {
+    await Bookmark.updateOne(
+      { user: req.user.id, post: req.post._id },
+      { $setOnInsert: { user: req.user.id, post: req.post._id } },
+      { upsert: true }
+    ).catch(error => {
+      // A concurrent request already saved it
+      if (error.code !== 11000) throw error;
+    });
+
+    res.json({
+      success: true,
+      message: 'Post bookmarked',
+      bookmarked: true
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/bookmarks/:postId', readingValidators.bookmark, validate, async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user.id, post: req.params.postId });
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed',
+      bookmarked: false
+    });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// ===========================
+// READING LISTS
+// ===========================
+
+/**
+ * @openapi
+ * /api/me/lists:
+ *   get:
+ *     summary: Your reading lists (without their posts)
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reading lists retrieved successfully
+ *   post:
+ *     summary: Create a reading list
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, shared]
+ *                 default: private
+ *     responses:
+ *       201:
+ *         description: Reading list created
+ *       400:
+ *         description: Validation error
+ */
+router.get('/lists', async (req, res) => {
+  try {
+    const lists = await ReadingList.find({ owner: req.user.id }).sort('-createdAt').lean();
+
+    res.json({
+      success: true,
+      lists: lists.map(({ items, ...list }) => ({ ...list, itemCount: items.length }))
+    });
+  } catch (error) {
+    console.error('Get reading lists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/lists', readingValidators.createList, validate, async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+    const list = await ReadingList.create({ owner: req.user.id, name, description, visibility });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reading list created',
+      list
+    });
+  } catch (error) {
+    console.error('Create reading list error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/lists/{listId}:
+ *   get:
+ *     summary: One of your reading lists with its posts in order
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reading list retrieved successfully
+ *       404:
+ *         description: Reading list not found
+ *   patch:
+ *     summary: Rename a reading list or change its visibility
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, shared]
+ *     responses:
+ *       200:
+ *         description: Reading list updated
+ *       404:
+ *         description: Reading list not found
+ *   delete:
+ *     summary: Delete a reading list
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reading list deleted
+ *       404:
+ *         description: Reading list not found
+ */
+router.get('/lists/:listId', readingValidators.list, validate, loadOwnList, async (req, res) => {
+  try {
+    await req.list.populate(ReadingList.itemsPopulate());
+
+    res.json({
+      success: true,
+      list: { ...req.list.toObject(), items: visibleItems(req.list) }
+    });
+  } catch (error) {
+    console.error('Get reading list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.patch('/lists/:listId', readingValidators.updateList, validate, loadOwnList, async (req, res) => {
+  try {
+    const { name, description, visibility } = req.body;
+    const list = req.list;
+
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (visibility !== undefined) list.visibility = visibility;
+
+    await list.save();
+
+    res.json({
+      success: true,
+      message: 'Reading list updated',
+      list
+    });
+  } catch (error) {
+    console.error('Update reading list error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/lists/:listId', readingValidators.list, validate, loadOwnList, async (req, res) => {
+  try {
+    await req.list.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reading list deleted'
+    });
+  } catch (error) {
+    console.error('Delete reading list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/lists/{listId}/items:
+ *   put:
+ *     summary: Reorder the posts in a reading list
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - postIds
+ *             properties:
+ *               postIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Post IDs in the new order, posts left out keep their order after them
+ *     responses:
+ *       200:
+ *         description: Reading list reordered
+ *       400:
+ *         description: postIds lists a post twice or one that isn't in the list
+ *       404:
+ *         description: Reading list not found
+ */
+router.put('/lists/:listId/items', readingValidators.reorder, validate, loadOwnList, async (req, res) => {
+  try {
+    const list = req.list;
+    list.reorder(req.body.postIds);
+    await list.save();
+
+    res.json({
+      success: true,
+      message: 'Reading list reordered',
+      list
+    });
+  } catch (error) {
+    if (!error.status) console.error('Reorder reading list error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/me/lists/{listId}/items/{postId}:
+ *   put:
+ *     summary: Add a post to a reading list
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 description: Zero-based position, defaults to the end
+ *     responses:
+ *       200:
+ *         description: Post added (or already in the list)
+ *       404:
+ *         description: Reading list or post not found
+ *   delete:
+ *     summary: Remove a post from a reading list
+ *     tags: [Reading]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Post removed
+ *       404:
+ *         description: Reading list not found
+ */
+router.put('/lists/:listId/items/:postId',
+  readingValidators.listItem,
+  validate,
+  loadOwnList,
+  loadReadablePost('postId'),
+  async (req, res) => {
+    try {
+      const list = req.list;
+      const added = list.addPost(req.post._id, req.body.position);
+      if (added) await list.save();
+
+      res.json({
+        success: true,
+        message: added ? 'Post added to reading list' : 'Post is already in this reading list',
+        list
+      });
+    } catch (error) {
+      console.error('Add reading list item error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+router.delete('/lists/:listId/items/:postId', readingValidators.listItem, validate, loadOwnList, async (req, res) => {
+  try {
+    const list = req.list;
+    list.items = list.items.filter(item => !item.post.equals(req.params.postId));
+    await list.save();
+
+    res.json({
+      success: true,
+      message: 'Post removed from reading list',
+      list
+    });
+  } catch (error) {
+    console.error('Remove reading list item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const { auth, requireVerified, requireScope, adminAuth, isAdmin, isOwnerOrAdmin } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { imageUpload } = require('../middleware/upload');
+const { mediaValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const escapeRegex = require('../utils/escapeRegex');
+const { recordUpload, removeMedia, referenceFilter, referencedIds, retryDeletions, sweepOrphans } = require('../utils/media');
+const StorageDeletion = require('../models/StorageDeletion');
+
+const OWNER_FIELDS = 'name avatar';
+
+// Load :id into req.media for its owner or an admin, 404/403 otherwise
+const loadOwnMedia = async (req, res, next) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, media.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner or an admin can access this media'
+      });
+    }
+
+    req.media = media;
+    next();
+  } catch (error) {
+    console.error('Load media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.use(auth);
+
+/**
+ * @openapi
+ * /api/media:
+ *   post:
+ *     summary: Upload an image to the media library
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (jpg, jpeg, png, gif, webp - max 5MB)
+ *               alt:
+ *                 type: string
+ *                 description: Alternative text (max 300 characters)
+ *               caption:
+ *                 type: string
+ *                 description: Caption (max 1000 characters)
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags
+ *     responses:
+ *       201:
+ *         description: Media uploaded
+ *       400:
+ *         description: Missing or invalid file
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/',
+  requireScope('media:write'),
+  requireVerified,
+  uploadLimiter,
+  imageUpload.single('file'),
+  mediaValidators.upload,
+  validate,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Image file is required'
+        });
+      }
+
+      const { alt, caption, tags } = req.body;
+      const media = await recordUpload(req.file, req.user.id, { alt, caption, tags });
+
+      res.status(201).json({
+        success: true,
+        message: 'Media uploaded successfully',
+        media
+      });
+    } catch (error) {
+      console.error('Upload media error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/media:
+ *   get:
+ *     summary: List your media library (admins can list any owner's)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in filename, alt text and caption
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Owner user ID (admin only, defaults to everyone for admins)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Media retrieved successfully
+ */
+router.get('/', requireScope('media:read'), mediaValidators.list, validate, async (req, res) => {
+  try {
+    const { tag, search, owner, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+
+    if (!isAdmin(req.user)) {
+      filter.owner = req.user.id;
+    } else if (owner) {
+      filter.owner = owner;
+    }
+
+    if (tag) filter.tags = tag;
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { filename: { $regex: pattern, $options: 'i' } },
+        { alt: { $regex: pattern, $options: 'i' } },
+        { caption: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const media = await Media.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('owner', OWNER_FIELDS)
+      .lean();
+
+    const totalMedia = await Media.countDocuments(filter);
+
+    res.json({
+      success: true,
+      media,
+      pagination: {
+        totalPages: Math.ceil(totalMedia / Number(limit)),
+        currentPage: Number(page),
+        totalMedia,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalMedia
+      }
+    });
+  } catch (error) {
+    console.error('List media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/orphans:
+ *   get:
+ *     summary: Report media nothing references (admin only, never deletes)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeLibrary
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also report unused library uploads
+ *       - in: query
+ *         name: olderThanHours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *         description: Only consider media uploaded at least this long ago
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 500
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ *   delete:
+ *     summary: Delete media nothing references (admin only)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: includeLibrary
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: olderThanHours
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 500
+ *     responses:
+ *       200:
+ *         description: Sweep report (failed file deletions are queued for retry)
+ */
+router.get('/orphans', adminAuth, mediaValidators.orphans, validate, async (req, res) => {
+  try {
+    const { includeLibrary, olderThanHours, limit } = req.query;
+    const report = await sweepOrphans({ dryRun: true, includeLibrary, olderThanHours, limit });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Find orphaned media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/orphans', adminAuth, mediaValidators.orphans, validate, async (req, res) => {
+  try {
+    const { dryRun = false, includeLibrary, olderThanHours, limit } = req.query;
+    const report = await sweepOrphans({ dryRun, includeLibrary, olderThanHours, limit });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${report.orphans} orphaned media item(s) would be deleted`
+        : `Deleted ${report.orphans} orphaned media item(s)`,
+      report
+    });
+  } catch (error) {
+    console.error('Sweep orphaned media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/deletions:
+ *   get:
+ *     summary: List file deletions waiting for retry or given up on (admin only)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, failed]
+ *     responses:
+ *       200:
+ *         description: Queued deletions
+ */
+router.get('/deletions', adminAuth, mediaValidators.deletions, validate, async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const deletions = await StorageDeletion.find(filter).sort('nextAttemptAt').limit(200).lean();
+
+    res.json({
+      success: true,
+      deletions
+    });
+  } catch (error) {
+    console.error('List storage deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/deletions/retry:
+ *   post:
+ *     summary: Retry due file deletions now (admin only)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retry results
+ */
+router.post('/deletions/retry', adminAuth, async (req, res) => {
+  try {
+    const result = await retryDeletions();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Retry storage deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/{id}:
+ *   get:
+ *     summary: Get a media item with the posts that use it (owner or admin)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media retrieved successfully
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: Media not found
+ */
+router.get('/:id', requireScope('media:read'), mediaValidators.getById, validate, loadOwnMedia, async (req, res) => {
+  try {
+    const usedBy = await Post.find(referenceFilter(req.media))
+      .select('heading slug status')
+      .lean();
+
+    await req.media.populate('owner', OWNER_FIELDS);
+
+    res.json({
+      success: true,
+      media: req.media,
+      usedBy
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/{id}:
+ *   patch:
+ *     summary: Update alt text, caption or tags (owner or admin)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces existing tags
+ *     responses:
+ *       200:
+ *         description: Media updated successfully
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: Media not found
+ */
+router.patch('/:id', requireScope('media:write'), mediaValidators.update, validate, loadOwnMedia, async (req, res) => {
+  try {
+    const { alt, caption, tags } = req.body;
+    const media = req.media;
+
+    if (alt !== undefined) media.alt = alt;
+    if (caption !== undefined) media.caption = caption;
+    if (tags !== undefined) media.tags = tags;
+
+    await media.save();
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully',
+      media
+    });
+  } catch (error) {
+    console.error('Update media error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/media/{id}:
+ *   delete:
+ *     summary: Delete a media item that no post or avatar uses (owner or admin)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Media deleted successfully
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: Media not found
+ *       409:
+ *         description: Media is still used by a post or avatar
+ */
+router.delete('/:id', requireScope('media:write'), mediaValidators.delete, validate, loadOwnMedia, async (req, res) => {
+  try {
+    const media = req.media;
+
+    if ((await referencedIds([media])).size) {
+      const usedBy = await Post.countDocuments(referenceFilter(media));
+      return res.status(409).json({
+        success: false,
+        message: usedBy
+          ? `Media is used by ${usedBy} post(s), remove it from them first`
+          : 'Media is used as a profile avatar, change the avatar first'
+      });
+    }
+
+    await removeMedia(media);
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const Comment = require('../models/Comment');
+const Setting = require('../models/Setting');
+const { auth, adminAuth } = require('../middleware/auth');
+const { moderationValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { notifyCommentPosted } = require('../utils/notifications');
+
+// Every moderation route is admin only
+router.use(auth, adminAuth);
+
+/**
+ * @openapi
+ * /api/moderation/comments:
+ *   get:
+ *     summary: Get the comment moderation queue (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully (oldest first)
+ *       403:
+ *         description: Admin only
+ */
+router.get('/comments', moderationValidators.queue, validate, async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const filter = { status, deleted: false };
+
+    const comments = await Comment.find(filter)
+      .sort('createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('author', 'name email avatar')
+      .populate('post', 'heading slug')
+      .lean();
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      comments,
+      pagination: {
+        totalPages: Math.ceil(totalComments / Number(limit)),
+        currentPage: Number(page),
+        totalComments,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalComments
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Shared approve/reject handler
+const moderate = (status) => async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, deleted: false });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const wasApproved = comment.status === 'approved';
+    comment.set({ status, moderatedBy: req.user.id, moderatedAt: new Date() });
+    await comment.save();
+
+    // Comments held for moderation only reach the author once approved
+    if (status === 'approved' && !wasApproved) await notifyCommentPosted(comment);
+
+    res.json({
+      success: true,
+      message: `Comment ${status}`,
+      comment
+    });
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @openapi
+ * /api/moderation/comments/{commentId}/approve:
+ *   post:
+ *     summary: Approve a comment (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment approved
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/comments/:commentId/approve', moderationValidators.moderate, validate, moderate('approved'));
+
+/**
+ * @openapi
+ * /api/moderation/comments/{commentId}/reject:
+ *   post:
+ *     summary: Reject a comment (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment rejected
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/comments/:commentId/reject', moderationValidators.moderate, validate, moderate('rejected'));
+
+/**
+ * @openapi
+ * /api/moderation/settings:
+ *   get:
+ *     summary: Get moderation settings (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: {
+        commentModeration: await Comment.isModerationEnabled()
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/moderation/settings:
+ *   put:
+ *     summary: Turn comment moderation on or off (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - commentModeration
+ *             properties:
+ *               commentModeration:
+ *                 type: boolean
+ *                 description: Hold new comments for approval
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ */
+router.put('/settings', moderationValidators.settings, validate, async (req, res) => {
+  try {
+    const commentModeration = await Setting.setValue('comments.moderation', req.body.commentModeration);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings: { commentModeration }
+    });
+  } catch (error) {
+    console.error('Update moderation settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
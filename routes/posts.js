@@ -1,38 +1,128 @@
 const express = require('express');
 const router = express.Router();
-const path = require('path');
 const Post = require('../models/Post');
-const { auth } = require('../middleware/auth');
-const { storage, deleteImage } = require('../config/cloudinary');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const Media = require('../models/Media');
+const Reaction = require('../models/Reaction');
+const PostView = require('../models/PostView');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const Notification = require('../models/Notification');
+const { auth, optionalAuth, requireVerified, requireScope, adminAuth, isOwnerOrAdmin } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
 const { uploadLimiter } = require('../middleware/rateLimiter');
 const { postValidators } = require('../middleware/validators');
 const validate = require('../middleware/validate');
-const multer = require('multer');
-
-// Multer configuration
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files (jpg, jpeg, png, gif, webp) are allowed!'));
+const { diffSnapshots } = require('../utils/diff');
+const { buildPublicPostFilter } = require('../utils/postFilters');
+const { buildPostSeo } = require('../utils/seo');
+const { cursorPaginate } = require('../utils/pagination');
+const { parseSearchQuery, buildHighlightPattern, markMatches, buildSnippet } = require('../utils/search');
+const { toPlainText } = require('../utils/markdown');
+const { recordUpload, removeMedia, releaseImage } = require('../utils/media');
+const { hashToken } = require('../utils/tokens');
+const { notifyPostPublished } = require('../utils/notifications');
+const { dispatchEvent, serializePost } = require('../utils/webhooks');
+const { audit, snapshot, postTarget, POST_AUDIT_FIELDS } = require('../utils/audit');
+
+// Public author fields returned with posts
+const AUTHOR_FIELDS = 'name avatar';
+const CATEGORY_FIELDS = 'name slug';
+const MEDIA_FIELDS = 'url alt caption width height';
+const MEDIA_POPULATE = [
+  { path: 'coverImage', select: MEDIA_FIELDS },
+  { path: 'gallery', select: MEDIA_FIELDS }
+];
+
+// Whether the user may attach every referenced media item (their own, any for admins)
+const canAttachMedia = async ({ coverImage, gallery = [] }, user) => {
+  const ids = [coverImage, ...gallery].filter(Boolean);
+  return !ids.length || Boolean(await Media.findAttachable(ids, user));
+};
+
+// Load :id into req.post for the author or an admin, 404/403 otherwise
+const loadEditablePost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(req.user, post.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can access this post'
+      });
     }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    next(error);
   }
-});
+};
+
+// Popularity sorts map onto the stored counters
+const SORT_FIELDS = {
+  '-likes': '-reactionCounts.like',
+  '-views': '-viewCount'
+};
+
+// Count a view once per reader per day. Authors reading their own posts
+// aren't counted, and failures never affect the response.
+const countView = async (req, post) => {
+  try {
+    const authorId = String(post.author._id || post.author);
+    if (req.user && req.user.id === authorId) return;
+
+    const viewer = req.user
+      ? `user:${req.user.id}`
+      : `anon:${hashToken(`${req.ip}|${req.get('user-agent') || ''}`)}`;
+
+    if (await PostView.record(post._id, viewer)) {
+      // A view isn't an edit, keep updatedAt (feeds, sitemap, dateModified) as it was
+      await Post.updateOne({ _id: post._id }, { $inc: { viewCount: 1 } }, { timestamps: false });
+      post.viewCount = (post.viewCount || 0) + 1;
+    }
+  } catch (error) {
+    if (error.code !== 11000) console.error('Count view error:', error);
+  }
+};
+
+// Reaction types the signed in reader has left on a post
+const viewerReactions = (req, post) => (req.user
+  ? Reaction.find({ post: post._id, user: req.user.id }).distinct('type')
+  : undefined);
+
+// Add a bookmarked flag to plain post objects for the signed in reader
+const flagBookmarks = async (req, posts) => {
+  if (!req.user || !posts.length) return posts;
+
+  const saved = await Bookmark.find({ user: req.user.id, post: { $in: posts.map(post => post._id) } })
+    .distinct('post');
+  const savedIds = new Set(saved.map(String));
+
+  return posts.map(post => ({ ...post, bookmarked: savedIds.has(String(post._id)) }));
+};
+
+// Comment threads live under /api/posts/:id/comments
+router.use('/:id/comments', require('./comments'));
+
+// Reactions live under /api/posts/:id/reactions
+router.use('/:id/reactions', require('./reactions'));
 
 /**
  * @openapi
  * /api/posts:
  *   get:
- *     summary: Get all posts with pagination and search
+ *     summary: Get published posts with pagination and search
  *     tags: [Posts]
  *     parameters:
  *       - in: query
@@ -53,11 +143,44 @@ const upload = multer({
  *           type: string
  *         description: Search in heading and description
  *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only posts with this tag
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug (includes subcategories)
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Only posts by this author ID
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
+ *           enum: [createdAt, -createdAt, publishAt, -publishAt, updatedAt, -updatedAt, -likes, -views, -views-week]
  *           default: -createdAt
- *         description: Sort order (createdAt, -createdAt)
+ *         description: Sort order. -likes is most liked, -views most viewed, -views-week most viewed in the last 7 days (page mode only)
+ *       - in: query
+ *         name: paginate
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: Page numbers (admin UI) or opaque cursors (stable infinite scrolling)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor from a previous response (implies paginate=cursor)
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count matching posts. Defaults to true in page mode and false in cursor mode.
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
@@ -77,53 +200,172 @@ const upload = multer({
  *                         type: string
  *                       heading:
  *                         type: string
+ *                       slug:
+ *                         type: string
  *                       description:
  *                         type: string
+ *                         description: Markdown source
+ *                       descriptionHtml:
+ *                         type: string
+ *                         description: Sanitized HTML rendered from the Markdown
+ *                       excerpt:
+ *                         type: string
+ *                       wordCount:
+ *                         type: integer
+ *                       readingTime:
+ *                         type: integer
+ *                         description: Estimated minutes to read
+ *                       toc:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             level:
+ *                               type: integer
+ *                             text:
+ *                               type: string
+ *                             id:
+ *                               type: string
  *                       image:
  *                         type: string
+ *                       reactionCounts:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                       viewCount:
+ *                         type: integer
+ *                       bookmarked:
+ *                         type: boolean
+ *                         description: Only present when signed in
+ *                       status:
+ *                         type: string
+ *                       publishAt:
+ *                         type: string
+ *                       author:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           avatar:
+ *                             type: string
  *                       createdAt:
  *                         type: string
  *                       updatedAt:
  *                         type: string
  *                 pagination:
  *                   type: object
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       enum: [page, cursor]
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     hasMore:
+ *                       type: boolean
+ *                     totalPosts:
+ *                       type: integer
  */
-router.get('/', postValidators.list, validate, async (req, res) => {
+router.get('/', optionalAuth, postValidators.list, validate, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
       search,
-      sort = '-createdAt'
+      tag,
+      category,
+      author,
+      sort = '-createdAt',
+      cursor
     } = req.query;
 
-    let filter = {};
+    const useCursor = Boolean(cursor) || req.query.paginate === 'cursor';
+    const includeTotal = req.query.includeTotal ?? !useCursor;
+    const populate = [
+      { path: 'author', select: AUTHOR_FIELDS },
+      { path: 'category', select: CATEGORY_FIELDS },
+      { path: 'coverImage', select: MEDIA_FIELDS }
+    ];
 
-    // Search in heading and description
-    if (search) {
-      filter.$or = [
-        { heading: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    const filter = await buildPublicPostFilter({ search, tag, category, author });
+    const totalPosts = includeTotal ? await Post.countDocuments(filter) : undefined;
+
+    // Most viewed this week: ranked by an aggregation over recent views
+    if (sort === '-views-week') {
+      const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      const results = await Post.findTrending(filter, {
+        since,
+        skip: (Number(page) - 1) * Number(limit),
+        limit: Number(limit) + 1
+      });
+      const posts = await Post.populate(results.slice(0, Number(limit)), populate);
+
+      return res.json({
+        success: true,
+        posts: await flagBookmarks(req, posts),
+        pagination: {
+          mode: 'page',
+          totalPages: includeTotal ? Math.ceil(totalPosts / Number(limit)) : undefined,
+          currentPage: Number(page),
+          totalPosts,
+          limit: Number(limit),
+          hasMore: results.length > Number(limit)
+        }
+      });
     }
 
-    const posts = await Post.find(filter)
-      .sort(sort)
-      .limit(Number(limit))
+    const sortKey = SORT_FIELDS[sort] || sort;
+
+    // Cursor mode: keyed on the sort field + _id, no skip
+    if (useCursor) {
+      const { items, nextCursor, prevCursor, hasMore } = await cursorPaginate(Post, filter, {
+        sort: sortKey,
+        limit: Number(limit),
+        cursor,
+        populate
+      });
+
+      return res.json({
+        success: true,
+        posts: await flagBookmarks(req, items),
+        pagination: {
+          mode: 'cursor',
+          limit: Number(limit),
+          nextCursor,
+          prevCursor,
+          hasMore,
+          totalPosts
+        }
+      });
+    }
+
+    // Page mode: fetch one extra post to know whether there is a next page
+    // without needing a count
+    const order = sortKey.startsWith('-') ? -1 : 1;
+    const results = await Post.find(filter)
+      .sort({ [sortKey.replace(/^-/, '')]: order, _id: order })
+      .limit(Number(limit) + 1)
       .skip((Number(page) - 1) * Number(limit))
+      .populate(populate)
       .lean();
 
-    const totalPosts = await Post.countDocuments(filter);
+    const posts = results.slice(0, Number(limit));
 
     res.json({
       success: true,
-      posts,
+      posts: await flagBookmarks(req, posts),
       pagination: {
-        totalPages: Math.ceil(totalPosts / Number(limit)),
+        mode: 'page',
+        totalPages: includeTotal ? Math.ceil(totalPosts / Number(limit)) : undefined,
         currentPage: Number(page),
         totalPosts,
         limit: Number(limit),
-        hasMore: Number(page) * Number(limit) < totalPosts
+        hasMore: results.length > Number(limit)
       }
     });
   } catch (error) {
@@ -137,172 +379,614 @@ router.get('/', postValidators.list, validate, async (req, res) => {
 
 /**
  * @openapi
- * /api/posts/{id}:
+ * /api/posts/search:
  *   get:
- *     summary: Get post by ID
+ *     summary: Full-text search over published posts, ranked by relevance
+ *     description: Uses the heading/description text index. Supports "exact phrases" and -excluded terms.
  *     tags: [Posts]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: q
  *         required: true
  *         schema:
  *           type: string
- *         description: Post ID
+ *         description: Search query, e.g. node "error handling" -java
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or before
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
  *     responses:
  *       200:
- *         description: Post retrieved successfully
- *       404:
- *         description: Post not found
+ *         description: Results with score and highlighted heading and snippet (matches wrapped in mark tags)
+ *       400:
+ *         description: Invalid query
  */
-router.get('/:id', postValidators.getById, validate, async (req, res) => {
+router.get('/search', optionalAuth, postValidators.search, validate, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const { q, from, to, tag, category, page = 1, limit = 10 } = req.query;
 
-    if (!post) {
-      return res.status(404).json({ 
+    const parsed = parseSearchQuery(q);
+    if (!parsed.terms.length && !parsed.phrases.length) {
+      return res.status(400).json({
         success: false,
-        message: 'Post not found' 
+        message: 'Search needs at least one term that is not excluded'
       });
     }
 
-    res.json({ 
-      success: true, 
-      post 
+    const filter = {
+      $text: { $search: q },
+      ...(await buildPublicPostFilter({ tag, category, from, to }))
+    };
+
+    const posts = await Post.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .select('-toc')
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate('coverImage', MEDIA_FIELDS)
+      .lean();
+
+    const totalResults = await Post.countDocuments(filter);
+    const pattern = buildHighlightPattern(parsed);
+
+    const results = posts.map(({ descriptionHtml, ...post }) => ({
+      ...post,
+      highlights: {
+        heading: markMatches(post.heading, pattern),
+        snippet: buildSnippet(descriptionHtml ? toPlainText(descriptionHtml) : post.description, pattern)
+      }
+    }));
+
+    res.json({
+      success: true,
+      query: parsed,
+      results: await flagBookmarks(req, results),
+      pagination: {
+        totalPages: Math.ceil(totalResults / Number(limit)),
+        currentPage: Number(page),
+        totalResults,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalResults
+      }
     });
   } catch (error) {
-    console.error('Get post error:', error);
-    res.status(500).json({ 
+    console.error('Search posts error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Server error' 
+      message: 'Server error'
     });
   }
 });
 
 /**
  * @openapi
- * /api/posts:
- *   post:
- *     summary: Create a new post
+ * /api/posts/mine:
+ *   get:
+ *     summary: Get the current user's posts in any status (drafts view)
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - heading
- *               - description
- *             properties:
- *               heading:
- *                 type: string
- *                 description: Post heading (3-200 characters)
- *               description:
- *                 type: string
- *                 description: Post description (min 10 characters)
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: Post image (max 5MB)
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: Only return posts with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
  *     responses:
- *       201:
- *         description: Post created successfully
- *       400:
- *         description: Validation error
+ *       200:
+ *         description: Posts retrieved successfully
  *       401:
  *         description: Unauthorized
  */
-router.post('/', 
-  auth, 
-  uploadLimiter,
-  upload.single('image'), 
-  postValidators.create, 
-  validate, 
-  async (req, res) => {
-    try {
-      const { heading, description } = req.body;
+router.get('/mine', auth, requireScope('posts:read'), postValidators.mine, validate, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
 
-      const postData = {
-        heading,
-        description
-      };
+    const filter = { author: req.user.id };
+    if (status) filter.status = status;
 
-      // Add Cloudinary URL if image uploaded
-      if (req.file) {
-        postData.image = req.file.path;
-      }
+    const posts = await Post.find(filter)
+      .sort('-updatedAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate('coverImage', MEDIA_FIELDS)
+      .lean();
 
-      const post = new Post(postData);
-      await post.save();
+    const totalPosts = await Post.countDocuments(filter);
 
-      res.status(201).json({
-        success: true,
-        message: 'Post created successfully',
-        post
-      });
-    } catch (error) {
-      console.error('Create post error:', error);
-      res.status(400).json({
-        success: false,
-        message: 'Error creating post',
-        error: error.message
-      });
-    }
+    res.json({
+      success: true,
+      posts,
+      pagination: {
+        totalPages: Math.ceil(totalPosts / Number(limit)),
+        currentPage: Number(page),
+        totalPosts,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalPosts
+      }
+    });
+  } catch (error) {
+    console.error('Get my posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
   }
-);
+});
 
 /**
  * @openapi
- * /api/posts/{id}:
- *   put:
- *     summary: Update post by ID
+ * /api/posts/slug/{slug}:
+ *   get:
+ *     summary: Get post by slug
+ *     description: Old slugs answer with a 301 pointing at the post's current slug.
  *     tags: [Posts]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: slug
  *         required: true
  *         schema:
  *           type: string
- *         description: Post ID
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               heading:
- *                 type: string
- *                 description: Post heading (3-200 characters)
- *               description:
- *                 type: string
- *                 description: Post description (min 10 characters)
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: Post image (max 5MB)
+ *         description: Post slug
  *     responses:
  *       200:
- *         description: Post updated successfully
+ *         description: Post retrieved successfully
+ *       301:
+ *         description: Slug has moved, see the Location header and the slug field
  *       404:
  *         description: Post not found
  */
-router.put('/:id', 
-  auth, 
-  uploadLimiter,
-  upload.single('image'), 
-  postValidators.update, 
-  validate, 
-  async (req, res) => {
-    try {
-      const { heading, description } = req.body;
+router.get('/slug/:slug', optionalAuth, postValidators.getBySlug, validate, async (req, res) => {
+  try {
+    const { slug } = req.params;
 
-      // Find existing post
-      const existingPost = await Post.findById(req.params.id);
+    let post = await Post.findOne({ slug })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate(MEDIA_POPULATE);
+    let moved = false;
+
+    // Fall back to slug history so shared links keep working
+    if (!post) {
+      post = await Post.findOne({ previousSlugs: slug }).select('slug status publishAt author');
+      moved = true;
+    }
+
+    if (!post || (!post.isVisible() && !isOwnerOrAdmin(req.user, post.author))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (moved) {
+      const location = `${req.baseUrl}/slug/${post.slug}`;
+      return res.status(301).location(location).json({
+        success: true,
+        redirect: true,
+        slug: post.slug,
+        location
+      });
+    }
+
+    await countView(req, post);
+    const [flagged] = await flagBookmarks(req, [post.toObject()]);
+
+    res.json({
+      success: true,
+      post: flagged,
+      myReactions: await viewerReactions(req, post)
+    });
+  } catch (error) {
+    console.error('Get post by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/slug/{slug}/seo:
+ *   get:
+ *     summary: SEO metadata for a post by slug
+ *     description: Open Graph and Twitter card fields, canonical URL and a JSON-LD BlogPosting.
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SEO metadata
+ *       404:
+ *         description: Post not found
+ */
+router.get('/slug/:slug/seo', postValidators.getBySlug, validate, async (req, res) => {
+  try {
+    const post = await Post.findOne({ $and: [{ slug: req.params.slug }, Post.visibleFilter()] })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate('coverImage', MEDIA_FIELDS)
+      .lean();
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      seo: buildPostSeo(post)
+    });
+  } catch (error) {
+    console.error('Get post SEO error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/seo:
+ *   get:
+ *     summary: SEO metadata for a post by ID
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: SEO metadata
+ *       404:
+ *         description: Post not found
+ */
+router.get('/:id/seo', postValidators.getById, validate, async (req, res) => {
+  try {
+    const post = await Post.findOne({ $and: [{ _id: req.params.id }, Post.visibleFilter()] })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate('coverImage', MEDIA_FIELDS)
+      .lean();
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      seo: buildPostSeo(post)
+    });
+  } catch (error) {
+    console.error('Get post SEO error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}:
+ *   get:
+ *     summary: Get post by ID
+ *     description: Unpublished posts are only returned to their author or an admin.
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post retrieved successfully
+ *       404:
+ *         description: Post not found
+ */
+router.get('/:id', optionalAuth, postValidators.getById, validate, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate(MEDIA_POPULATE);
+
+    // Hide unpublished posts from everyone but the author and admins
+    if (!post || (!post.isVisible() && !isOwnerOrAdmin(req.user, post.author))) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Post not found' 
+      });
+    }
+
+    await countView(req, post);
+    const [flagged] = await flagBookmarks(req, [post.toObject()]);
+
+    res.json({ 
+      success: true, 
+      post: flagged,
+      myReactions: await viewerReactions(req, post)
+    });
+  } catch (error) {
+    console.error('Get post error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error' 
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts:
+ *   post:
+ *     summary: Create a new post
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - heading
+ *               - description
+ *             properties:
+ *               heading:
+ *                 type: string
+ *                 description: Post heading (3-200 characters)
+ *               description:
+ *                 type: string
+ *                 description: Post body in Markdown (min 10 characters)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 default: published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when status is scheduled
+ *               category:
+ *                 type: string
+ *                 description: Category ID
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags
+ *               coverImage:
+ *                 type: string
+ *                 description: Media library ID of the cover image
+ *               gallery:
+ *                 type: string
+ *                 description: Comma separated media library IDs, in display order
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Post image (max 5MB)
+ *     responses:
+ *       201:
+ *         description: Post created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/', 
+  auth, 
+  requireScope('posts:write'),
+  requireVerified,
+  uploadLimiter,
+  imageUpload.single('image'), 
+  postValidators.create, 
+  validate, 
+  async (req, res) => {
+    // Upload made for this request, removed again if the post isn't saved
+    let uploadedImage = null;
+
+    try {
+      const { heading, description, status, publishAt, category, tags, coverImage, gallery } = req.body;
+
+      if (category && !(await Category.exists({ _id: category }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      if (!(await canAttachMedia({ coverImage, gallery }, req.user))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+
+      const postData = {
+        heading,
+        description,
+        author: req.user.id
+      };
+
+      if (status) postData.status = status;
+      if (publishAt) postData.publishAt = publishAt;
+      if (category) postData.category = category;
+      if (tags) postData.tags = tags;
+      if (coverImage) postData.coverImage = coverImage;
+      if (gallery) postData.gallery = gallery;
+
+      // Store the uploaded image and record it as media
+      if (req.file) {
+        uploadedImage = await recordUpload(req.file, req.user.id, { origin: 'post-image' });
+        postData.image = uploadedImage.url;
+      }
+
+      const post = new Post(postData);
+      await post.save();
+      uploadedImage = null;
+      await PostRevision.record(post, req.user.id, PostRevision.modifiedFields(post));
+      await audit(req, 'post.create', { target: postTarget(post), after: snapshot(post, POST_AUDIT_FIELDS) });
+      await dispatchEvent('post.created', serializePost(post));
+
+      if (post.status === 'published') {
+        await notifyPostPublished(post, req.user.id);
+        await dispatchEvent('post.published', serializePost(post));
+      }
+      await post.populate([
+        { path: 'author', select: AUTHOR_FIELDS },
+        { path: 'category', select: CATEGORY_FIELDS },
+        ...MEDIA_POPULATE
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: 'Post created successfully',
+        post
+      });
+    } catch (error) {
+      console.error('Create post error:', error);
+      if (uploadedImage) await removeMedia(uploadedImage);
+      res.status(400).json({
+        success: false,
+        message: 'Error creating post',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /api/posts/{id}:
+ *   put:
+ *     summary: Update post by ID
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               heading:
+ *                 type: string
+ *                 description: Post heading (3-200 characters)
+ *               description:
+ *                 type: string
+ *                 description: Post body in Markdown (min 10 characters)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *               category:
+ *                 type: string
+ *                 description: Category ID (empty to clear)
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags (replaces existing tags)
+ *               coverImage:
+ *                 type: string
+ *                 description: Media library ID of the cover image (empty to clear)
+ *               gallery:
+ *                 type: string
+ *                 description: Comma separated media library IDs, in display order (replaces the gallery)
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Post image (max 5MB)
+ *     responses:
+ *       200:
+ *         description: Post updated successfully
+ *       403:
+ *         description: Not the post author
+ *       404:
+ *         description: Post not found
+ */
+router.put('/:id', 
+  auth, 
+  requireScope('posts:write'),
+  uploadLimiter,
+  imageUpload.single('image'), 
+  postValidators.update, 
+  validate, 
+  async (req, res) => {
+    // Upload made for this request, removed again if the post isn't saved
+    let uploadedImage = null;
+
+    try {
+      const { heading, description, status, publishAt, category, tags, coverImage, gallery } = req.body;
+
+      // Find existing post
+      const existingPost = await Post.findById(req.params.id);
       if (!existingPost) {
         return res.status(404).json({ 
           success: false,
@@ -310,25 +994,83 @@ router.put('/:id',
         });
       }
 
-      const updateData = {};
+      if (!isOwnerOrAdmin(req.user, existingPost.author)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the author or an admin can update this post'
+        });
+      }
+
+      const updateData = {};
+
+      if (heading) updateData.heading = heading;
+      if (description) updateData.description = description;
+      if (status) updateData.status = status;
+      if (publishAt) updateData.publishAt = publishAt;
+      if (tags !== undefined) updateData.tags = tags;
+
+      if (category !== undefined) {
+        if (category && !(await Category.exists({ _id: category }))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Category not found'
+          });
+        }
+        updateData.category = category || null;
+      }
+
+      if (coverImage !== undefined || gallery !== undefined) {
+        if (!(await canAttachMedia({ coverImage, gallery }, req.user))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Media not found'
+          });
+        }
+        if (coverImage !== undefined) updateData.coverImage = coverImage || null;
+        if (gallery !== undefined) updateData.gallery = gallery;
+      }
+
+      // Handle new image upload, the old one is released once the post is saved
+      const previousImage = existingPost.image;
+      if (req.file) {
+        uploadedImage = await recordUpload(req.file, req.user.id, { origin: 'post-image' });
+        updateData.image = uploadedImage.url;
+      }
 
-      if (heading) updateData.heading = heading;
-      if (description) updateData.description = description;
+      // Save through the document so lifecycle hooks run
+      const previousStatus = existingPost.status;
+      const before = snapshot(existingPost, POST_AUDIT_FIELDS);
+      existingPost.set(updateData);
+      const changedFields = PostRevision.modifiedFields(existingPost);
+      const post = await existingPost.save();
+      uploadedImage = null;
 
-      // Handle new image upload
-      if (req.file) {
-        // Delete old image from Cloudinary
-        if (existingPost.image) {
-          await deleteImage(existingPost.image);
-        }
-        updateData.image = req.file.path;
+      if (req.file && previousImage) {
+        await releaseImage(previousImage);
       }
 
-      const post = await Post.findByIdAndUpdate(
-        req.params.id,
-        updateData,
-        { new: true, runValidators: true }
-      );
+      if (changedFields.length) {
+        await PostRevision.record(post, req.user.id, changedFields);
+      }
+
+      await audit(req, 'post.update', {
+        target: postTarget(post),
+        before,
+        after: snapshot(post, POST_AUDIT_FIELDS)
+      });
+      await dispatchEvent('post.updated', { ...serializePost(post), changedFields });
+
+      // Authors publishing their own post are skipped by notify
+      if (post.status === 'published' && previousStatus !== 'published') {
+        await notifyPostPublished(post, req.user.id);
+        await dispatchEvent('post.published', serializePost(post));
+      }
+
+      await post.populate([
+        { path: 'author', select: AUTHOR_FIELDS },
+        { path: 'category', select: CATEGORY_FIELDS },
+        ...MEDIA_POPULATE
+      ]);
 
       res.json({
         success: true,
@@ -337,6 +1079,7 @@ router.put('/:id',
       });
     } catch (error) {
       console.error('Update post error:', error);
+      if (uploadedImage) await removeMedia(uploadedImage);
       res.status(400).json({ 
         success: false,
         message: error.message 
@@ -363,10 +1106,12 @@ router.put('/:id',
  *     responses:
  *       200:
  *         description: Post deleted successfully
+ *       403:
+ *         description: Not the post author
  *       404:
  *         description: Post not found
  */
-router.delete('/:id', auth, postValidators.delete, validate, async (req, res) => {
+router.delete('/:id', auth, requireScope('posts:write'), postValidators.delete, validate, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -377,12 +1122,27 @@ router.delete('/:id', auth, postValidators.delete, validate, async (req, res) =>
       });
     }
 
-    // Delete image from Cloudinary
-    if (post.image) {
-      await deleteImage(post.image);
+    if (!isOwnerOrAdmin(req.user, post.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can delete this post'
+      });
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ post: post._id });
+    await PostRevision.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await PostView.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+    await ReadingList.updateMany({ 'items.post': post._id }, { $pull: { items: { post: post._id } } });
+    await Notification.deleteMany({ post: post._id });
+
+    // Remove the uploaded image unless another post still uses it
+    await releaseImage(post.image);
+
+    await audit(req, 'post.delete', { target: postTarget(post), before: snapshot(post, POST_AUDIT_FIELDS) });
+    await dispatchEvent('post.deleted', serializePost(post));
 
     res.json({ 
       success: true,
@@ -397,4 +1157,408 @@ router.delete('/:id', auth, postValidators.delete, validate, async (req, res) =>
   }
 });
 
+/**
+ * @openapi
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: List a post's revisions, newest first (author or admin)
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Revisions with editor, timestamp and changed fields
+ *       403:
+ *         description: Not the post author
+ *       404:
+ *         description: Post not found
+ */
+router.get('/:id/revisions', auth, requireScope('posts:read'), postValidators.revisions, validate, loadEditablePost, async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.post._id })
+      .sort('-revision')
+      .select('-snapshot')
+      .populate('editor', AUTHOR_FIELDS)
+      .lean();
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: Field-level diff between two revisions (author or admin)
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of changed fields with their from and to values
+ *       404:
+ *         description: Post or revision not found
+ */
+router.get('/:id/revisions/diff', auth, requireScope('posts:read'), postValidators.revisionDiff, validate, loadEditablePost, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const revisions = await PostRevision.find({ post: req.post._id, revision: { $in: [from, to] } }).lean();
+    const fromRevision = revisions.find(r => r.revision === from);
+    const toRevision = revisions.find(r => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get a single revision with its full snapshot (author or admin)
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       404:
+ *         description: Post or revision not found
+ */
+router.get('/:id/revisions/:revision', auth, requireScope('posts:read'), postValidators.revision, validate, loadEditablePost, async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({ post: req.post._id, revision: req.params.revision })
+      .populate('editor', AUTHOR_FIELDS)
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore an old revision as a new update (author or admin)
+ *     description: Restores heading, description, category and tags. Status, publish date and image are left unchanged.
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision restored
+ *       404:
+ *         description: Post or revision not found
+ */
+router.post('/:id/revisions/:revision/restore', auth, requireScope('posts:write'), postValidators.revision, validate, loadEditablePost, async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({ post: req.post._id, revision: req.params.revision });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const restoreData = revision.restorableData();
+
+    // The category may have been deleted since
+    if (restoreData.category && !(await Category.exists({ _id: restoreData.category }))) {
+      restoreData.category = null;
+    }
+
+    const post = req.post;
+    const previousStatus = post.status;
+    const before = snapshot(post, POST_AUDIT_FIELDS);
+    post.set(restoreData);
+    const changedFields = PostRevision.modifiedFields(post);
+    await post.save();
+
+    if (changedFields.length) {
+      await PostRevision.record(post, req.user.id, changedFields, { restoredFrom: revision.revision });
+      await audit(req, 'post.update', {
+        target: postTarget(post),
+        before,
+        after: snapshot(post, POST_AUDIT_FIELDS),
+        details: { restoredFrom: revision.revision }
+      });
+      await dispatchEvent('post.updated', { ...serializePost(post), changedFields });
+
+      if (post.status === 'published' && previousStatus !== 'published') {
+        await notifyPostPublished(post, req.user.id);
+        await dispatchEvent('post.published', serializePost(post));
+      }
+    }
+
+    await post.populate([
+      { path: 'author', select: AUTHOR_FIELDS },
+      { path: 'category', select: CATEGORY_FIELDS },
+      ...MEDIA_POPULATE
+    ]);
+
+    res.json({
+      success: true,
+      message: changedFields.length ? `Revision ${revision.revision} restored` : 'Post already matches this revision',
+      post
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/author:
+ *   patch:
+ *     summary: Transfer ownership of a post to another user (admin only)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - authorId
+ *             properties:
+ *               authorId:
+ *                 type: string
+ *                 description: ID of the new author
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: Post or user not found
+ */
+router.patch('/:id/author', auth, adminAuth, postValidators.transfer, validate, async (req, res) => {
+  try {
+    const newAuthor = await User.findById(req.body.authorId);
+    if (!newAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previous = await Post.findById(req.params.id).select('author');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const post = await Post.findByIdAndUpdate(
+      req.params.id,
+      { author: newAuthor._id },
+      { new: true }
+    ).populate('author', AUTHOR_FIELDS);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    await audit(req, 'post.transfer', {
+      target: postTarget(post),
+      before: { author: previous.author ? String(previous.author) : null },
+      after: { author: String(newAuthor._id) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Post ownership transferred successfully',
+      post
+    });
+  } catch (error) {
+    console.error('Transfer post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/transfer:
+ *   post:
+ *     summary: Transfer all posts from one user to another (admin only)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromAuthorId
+ *               - toAuthorId
+ *             properties:
+ *               fromAuthorId:
+ *                 type: string
+ *                 description: ID of the current author (e.g. someone leaving the team)
+ *               toAuthorId:
+ *                 type: string
+ *                 description: ID of the new author
+ *     responses:
+ *       200:
+ *         description: Posts transferred
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: User not found
+ */
+router.post('/transfer', auth, adminAuth, postValidators.bulkTransfer, validate, async (req, res) => {
+  try {
+    const { fromAuthorId, toAuthorId } = req.body;
+
+    const newAuthor = await User.findById(toAuthorId);
+    if (!newAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Post.updateMany(
+      { author: fromAuthorId },
+      { author: newAuthor._id }
+    );
+
+    if (result.modifiedCount) {
+      // Logged against the previous author, one entry for the whole batch
+      await audit(req, 'post.transfer', {
+        target: { type: 'user', id: fromAuthorId },
+        before: { author: fromAuthorId },
+        after: { author: String(newAuthor._id) },
+        details: { transferred: result.modifiedCount }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Posts transferred successfully',
+      transferred: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Bulk transfer posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+// Mounted under /api/posts/:id/reactions, so keep the parent's :id param
+const router = express.Router({ mergeParams: true });
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { auth, optionalAuth, requireSession } = require('../middleware/auth');
+const { reactionValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { loadReadablePost } = require('../middleware/loadPost');
+const { emptyReactionCounts } = require('../utils/reactions');
+
+// Counts plus the reactions the current user has left
+const reactionSummary = async (postId, user) => {
+  const post = await Post.findById(postId).select('reactionCounts').lean();
+  const mine = user
+    ? await Reaction.find({ post: postId, user: user.id }).distinct('type')
+    : undefined;
+
+  return { counts: { ...emptyReactionCounts(), ...post.reactionCounts }, mine };
+};
+
+/**
+ * @openapi
+ * /api/posts/{id}/reactions:
+ *   get:
+ *     summary: Reaction counts for a post, plus your own reactions when signed in
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Reaction counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 counts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                 mine:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: Post not found
+ */
+router.get('/', optionalAuth, reactionValidators.list, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await reactionSummary(req.post._id, req.user))
+    });
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/posts/{id}/reactions/{type}:
+ *   put:
+ *     summary: React to a post (idempotent, one reaction of each type per user)
+ *     tags: [Reactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [like, love, laugh, wow, sad, celebrate]
+ *     responses:
+ *       200:
+ *         description: Updated reaction counts
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ *   delete:
+ *     summary: Remove your reaction from a post
+ *     tags: [Reactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [like, love, laugh, wow, sad, celebrate]
+ *     responses:
+ *       200:
+ *         description: Updated reaction counts
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Post not found
+ */
+router.put('/:type', auth, requireSession, reactionValidators.toggle, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const result = await Reaction.updateOne(
+      { post: req.post._id, user: req.user.id, type },
+      { $setOnInsert: { post: req.post._id, user: req.user.id, type } },
+      { upsert: true }
+    ).catch(error => {
+      // A concurrent request already added the same reaction
+      if (error.code === 11000) return { upsertedCount: 0 };
+      throw error;
+    });
+
+    // Only count the reaction when it is new. Counters aren't edits, so
+    // leave updatedAt alone.
+    if (result.upsertedCount) {
+      await Post.updateOne(
+        { _id: req.post._id },
+        { $inc: { [`reactionCounts.${type}`]: 1 } },
+        { timestamps: false }
+      );
+    }
+
+    res.json({
+      success: true,
+      ...(await reactionSummary(req.post._id, req.user))
+    });
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/:type', auth, requireSession, reactionValidators.toggle, validate, loadReadablePost('id'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const result = await Reaction.deleteOne({ post: req.post._id, user: req.user.id, type });
+
+    if (result.deletedCount) {
+      await Post.updateOne(
+        { _id: req.post._id },
+        { $inc: { [`reactionCounts.${type}`]: -1 } },
+        { timestamps: false }
+      );
+    }
+
+    res.json({
+      success: true,
+      ...(await reactionSummary(req.post._id, req.user))
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
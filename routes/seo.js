@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const site = require('../config/site');
+const { apiLimiter } = require('../middleware/rateLimiter');
+const { seoValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { buildUrlset, buildSitemapIndex } = require('../utils/sitemap');
+
+// Absolute URL of this API, where the sitemaps themselves are served
+const apiBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Sitemap entries for one page of published posts (stable _id order)
+const postEntries = async (page, pageSize) => {
+  const posts = await Post.find(Post.visibleFilter())
+    .sort('_id')
+    .skip((page - 1) * pageSize)
+    .limit(pageSize)
+    .select('slug image coverImage updatedAt')
+    .populate('coverImage', 'url')
+    .lean();
+
+  return posts.map(post => ({
+    loc: site.postUrl(post),
+    lastmod: post.updatedAt,
+    image: post.coverImage?.url || post.image || undefined
+  }));
+};
+
+/**
+ * @openapi
+ * /robots.txt:
+ *   get:
+ *     summary: robots.txt pointing crawlers at the sitemap
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: robots.txt
+ */
+router.get('/robots.txt', apiLimiter, (req, res) => {
+  res.type('text/plain').send([
+    'User-agent: *',
+    'Allow: /',
+    'Disallow: /api/',
+    '',
+    `Sitemap: ${apiBaseUrl(req)}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
+
+/**
+ * @openapi
+ * /sitemap.xml:
+ *   get:
+ *     summary: Sitemap of published posts
+ *     description: Returns a urlset, or a sitemap index once there are more posts than fit in one sitemap (SITEMAP_PAGE_SIZE).
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Sitemap or sitemap index
+ */
+router.get('/sitemap.xml', apiLimiter, async (req, res) => {
+  try {
+    const pageSize = site.sitemapPageSize;
+    const totalPosts = await Post.countDocuments(Post.visibleFilter());
+
+    res.set('Cache-Control', 'public, max-age=3600');
+
+    if (totalPosts > pageSize) {
+      const pages = Math.ceil(totalPosts / pageSize);
+      const sitemaps = Array.from({ length: pages }, (_, index) => ({
+        loc: `${apiBaseUrl(req)}/sitemaps/posts-${index + 1}.xml`
+      }));
+      return res.type('application/xml').send(buildSitemapIndex(sitemaps));
+    }
+
+    const entries = [{ loc: site.url }, ...(await postEntries(1, pageSize))];
+    res.type('application/xml').send(buildUrlset(entries));
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /sitemaps/posts-{page}.xml:
+ *   get:
+ *     summary: One page of the split post sitemap
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: page
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sitemap
+ *       404:
+ *         description: Page out of range
+ */
+router.get('/sitemaps/posts-:page.xml', apiLimiter, seoValidators.sitemapPage, validate, async (req, res) => {
+  try {
+    const page = Number(req.params.page);
+    const entries = await postEntries(page, site.sitemapPageSize);
+
+    if (!entries.length && page > 1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    // The home page is listed once, in the first sitemap
+    if (page === 1) entries.unshift({ loc: site.url });
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('application/xml').send(buildUrlset(entries));
+  } catch (error) {
+    console.error('Sitemap page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
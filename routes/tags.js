@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const { auth, adminAuth } = require('../middleware/auth');
+const { tagValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+
+/**
+ * @openapi
+ * /api/tags:
+ *   get:
+ *     summary: Tag cloud - tags with the number of published posts using them
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of tags (most used first)
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tag:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ */
+router.get('/', tagValidators.cloud, validate, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const tags = await Post.aggregate([
+      { $match: Post.visibleFilter() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: Number(limit) },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      tags
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tags/{tag}:
+ *   put:
+ *     summary: Rename (or merge) a tag across all posts (admin only)
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: New tag name
+ *     responses:
+ *       200:
+ *         description: Tag renamed successfully
+ *       403:
+ *         description: Admin only
+ */
+router.put('/:tag', auth, adminAuth, tagValidators.rename, validate, async (req, res) => {
+  try {
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    if (name === tag) {
+      return res.json({ success: true, message: 'Tag unchanged', updated: 0 });
+    }
+
+    // Add the new tag first so posts that already have it are not duplicated
+    const result = await Post.updateMany({ tags: tag }, { $addToSet: { tags: name } });
+    await Post.updateMany({ tags: tag }, { $pull: { tags: tag } });
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully',
+      updated: result.matchedCount
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tags/{tag}:
+ *   delete:
+ *     summary: Remove a tag from all posts (admin only)
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag removed successfully
+ *       403:
+ *         description: Admin only
+ */
+router.delete('/:tag', auth, adminAuth, tagValidators.delete, validate, async (req, res) => {
+  try {
+    const result = await Post.updateMany(
+      { tags: req.params.tag },
+      { $pull: { tags: req.params.tag } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Tag removed successfully',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,475 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const ApiKey = require('../models/ApiKey');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const Reaction = require('../models/Reaction');
+const Comment = require('../models/Comment');
+const Media = require('../models/Media');
+const { auth, adminAuth } = require('../middleware/auth');
+const { userValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { revokeUserSessions } = require('../utils/tokens');
+const escapeRegex = require('../utils/escapeRegex');
+const { notify } = require('../utils/notifications');
+const { removeMedia, referencedIds } = require('../utils/media');
+const { audit, userTarget } = require('../utils/audit');
+
+// Every user management route is admin only
+router.use(auth, adminAuth);
+
+// Admins can't lock themselves out by demoting, suspending or deleting their own account
+const rejectSelf = (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+  }
+  next();
+};
+
+/**
+ * @openapi
+ * /api/users:
+ *   get:
+ *     summary: List and search users (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in name and email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, author]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       403:
+ *         description: Admin only
+ */
+router.get('/', userValidators.list, validate, async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .lean();
+
+    const totalUsers = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        totalPages: Math.ceil(totalUsers / Number(limit)),
+        currentPage: Number(page),
+        totalUsers,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalUsers
+      }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', userValidators.getById, validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const postCount = await Post.countDocuments({ author: user._id });
+
+    res.json({
+      success: true,
+      user: { ...user, postCount }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Promote or demote a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, author]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Cannot change your own role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/role', userValidators.changeRole, validate, rejectSelf, async (req, res) => {
+  try {
+    // Previous role, for the audit log
+    const previous = await User.findById(req.params.id).select('role');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    await audit(req, 'user.role-change', {
+      target: userTarget(user),
+      before: { role: previous.role },
+      after: { role: user.role }
+    });
+
+    await notify({
+      recipient: user._id,
+      type: 'account',
+      actor: req.user.id,
+      message: `An admin changed your role to ${user.role}`
+    });
+
+    res.json({
+      success: true,
+      message: `User is now ${user.role === 'admin' ? 'an admin' : 'an author'}`,
+      user
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user and log them out everywhere (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/suspend', userValidators.suspend, validate, rejectSelf, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { status: 'suspended', suspendedAt: new Date(), suspendedReason: req.body.reason },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeUserSessions(user._id, 'admin');
+    await audit(req, 'user.suspend', { target: userTarget(user), details: { reason: user.suspendedReason } });
+
+    // Waiting for them when the suspension is lifted
+    await notify({
+      recipient: user._id,
+      type: 'account',
+      actor: req.user.id,
+      message: user.suspendedReason
+        ? `Your account was suspended: ${user.suspendedReason}`
+        : 'Your account was suspended'
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      user
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/unsuspend:
+ *   post:
+ *     summary: Lift a suspension (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unsuspend', userValidators.getById, validate, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { status: 'active', $unset: { suspendedAt: 1, suspendedReason: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await audit(req, 'user.unsuspend', { target: userTarget(user) });
+    await notify({
+      recipient: user._id,
+      type: 'account',
+      actor: req.user.id,
+      message: 'Your account was reactivated'
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      user
+    });
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user (admin only)
+ *     description: Users who still own posts can only be deleted with transferTo set. Their comments, reactions, bookmarks and reading lists are deleted, and uploads still in use pass to transferTo (or the admin).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transferTo
+ *         schema:
+ *           type: string
+ *         description: User who takes over the deleted user's posts
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User still owns posts
+ */
+router.delete('/:id', userValidators.delete, validate, rejectSelf, async (req, res) => {
+  try {
+    const { transferTo } = req.query;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (transferTo) {
+      if (transferTo === user.id || !(await User.exists({ _id: transferTo }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transfer user'
+        });
+      }
+      const result = await Post.updateMany({ author: user._id }, { author: transferTo });
+
+      if (result.modifiedCount) {
+        await audit(req, 'post.transfer', {
+          target: userTarget(user),
+          before: { author: user.id },
+          after: { author: transferTo },
+          details: { transferred: result.modifiedCount }
+        });
+      }
+    } else if (await Post.exists({ author: user._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'User still owns posts, pass transferTo to reassign them'
+      });
+    }
+
+    await revokeUserSessions(user._id, 'admin');
+    await Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] });
+    await Notification.deleteMany({ $or: [{ recipient: user._id }, { actor: user._id }] });
+    await ApiKey.deleteMany({ user: user._id });
+    await Bookmark.deleteMany({ user: user._id });
+    await ReadingList.deleteMany({ owner: user._id });
+    await Reaction.removeForUser(user._id);
+    await Comment.removeForUser(user._id);
+    await user.deleteOne();
+
+    // Uploads still used somewhere go to whoever took over the posts (or the
+    // admin deleting the account); the rest are removed with their files
+    const uploads = await Media.find({ owner: user._id });
+    const referenced = await referencedIds(uploads);
+    await Media.updateMany(
+      { _id: { $in: [...referenced] } },
+      { owner: transferTo || req.user.id }
+    );
+    for (const media of uploads.filter(item => !referenced.has(String(item._id)))) {
+      await removeMedia(media);
+    }
+    await audit(req, 'user.delete', {
+      target: userTarget(user),
+      before: { name: user.name, email: user.email, role: user.role },
+      details: transferTo ? { postsTransferredTo: transferTo } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
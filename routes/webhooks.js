@@ -0,0 +1,515 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth, adminAuth } = require('../middleware/auth');
+const { webhookValidators } = require('../middleware/validators');
+const validate = require('../middleware/validate');
+const { redeliver, pingWebhook } = require('../utils/webhooks');
+
+// Delivery fields shown in the log, the payload and response only on a single delivery
+const DELIVERY_LIST_FIELDS = '-payload -responseBody';
+
+// Load :id into req.webhook, 404 otherwise
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refuse to send to a disabled webhook
+const rejectInactive = (webhook, res) => {
+  if (webhook && webhook.active) return false;
+
+  res.status(409).json({
+    success: false,
+    message: webhook ? 'Webhook is disabled, enable it first' : 'Webhook was deleted'
+  });
+  return true;
+};
+
+// Every webhook route is admin only
+router.use(auth, adminAuth);
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *   post:
+ *     summary: Register a webhook (admin only)
+ *     description: |
+ *       Each event is POSTed as JSON with the headers X-Webhook-Event, X-Webhook-Delivery,
+ *       X-Webhook-Timestamp and X-Webhook-Signature. The signature is
+ *       "sha256=" + HMAC-SHA256(secret, timestamp + "." + body) in hex. Non-2xx responses
+ *       are retried with exponential backoff. The secret is only returned here and when rotated.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: http://localhost:4000/webhooks
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [post.created, post.updated, post.published, post.deleted, user.registered]
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Webhook registered, includes the signing secret
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort('-createdAt').populate('createdBy', 'name').lean();
+
+    res.json({
+      success: true,
+      webhooks
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', webhookValidators.create, validate, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const webhook = await Webhook.create({ url, events, description, active, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered',
+      webhook: { ...webhook.toObject(), secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: A delivery with its payload and the receiver's response (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery retrieved successfully
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/deliveries/:deliveryId', webhookValidators.delivery, validate, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).populate('webhook', 'url active');
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery's payload again now (admin only)
+ *     description: Creates a new delivery with the same payload, whatever the original's status.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new delivery with the outcome of its first attempt
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Webhook is disabled or was deleted
+ */
+router.post('/deliveries/:deliveryId/redeliver', webhookValidators.delivery, validate, async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    if (rejectInactive(await Webhook.findById(original.webhook).select('active'), res)) return;
+
+    const delivery = await redeliver(original);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Delivery succeeded' : 'Delivery failed, it will be retried',
+      delivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ *   patch:
+ *     summary: Change a webhook's URL or events, or enable/disable it (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook and its delivery log (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', webhookValidators.getById, validate, loadWebhook, async (req, res) => {
+  try {
+    const [lastDelivery, pending] = await Promise.all([
+      WebhookDelivery.findOne({ webhook: req.webhook._id }).sort('-createdAt').select(DELIVERY_LIST_FIELDS).lean(),
+      WebhookDelivery.countDocuments({ webhook: req.webhook._id, status: 'pending' })
+    ]);
+
+    res.json({
+      success: true,
+      webhook: req.webhook,
+      lastDelivery,
+      pendingDeliveries: pending
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.patch('/:id', webhookValidators.update, validate, loadWebhook, async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const webhook = req.webhook;
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', webhookValidators.getById, validate, loadWebhook, async (req, res) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+    await req.webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret (admin only)
+ *     description: Deliveries are signed with the new secret straight away.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new secret
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', webhookValidators.getById, validate, loadWebhook, async (req, res) => {
+  try {
+    const secret = req.webhook.rotateSecret();
+    await req.webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated',
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a signed ping event to check the receiver (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The ping delivery with the receiver's response
+ *       404:
+ *         description: Webhook not found
+ *       409:
+ *         description: Webhook is disabled
+ */
+router.post('/:id/ping', webhookValidators.getById, validate, loadWebhook, async (req, res) => {
+  try {
+    if (rejectInactive(req.webhook, res)) return;
+
+    const delivery = await pingWebhook(req.webhook);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed, it will be retried',
+      delivery
+    });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: A webhook's delivery log, newest first (admin only)
+ *     description: Deliveries are kept for 30 days.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', webhookValidators.deliveries, validate, loadWebhook, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = { webhook: req.webhook._id };
+    if (status) filter.status = status;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort('-createdAt')
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit))
+      .select(DELIVERY_LIST_FIELDS)
+      .lean();
+
+    const totalDeliveries = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        totalPages: Math.ceil(totalDeliveries / Number(limit)),
+        currentPage: Number(page),
+        totalDeliveries,
+        limit: Number(limit),
+        hasMore: Number(page) * Number(limit) < totalDeliveries
+      }
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
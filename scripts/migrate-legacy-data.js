@@ -0,0 +1,85 @@
+// Backfill fields that documents created before they existed are missing.
+// Every step only touches documents that still need it, so the script is
+// safe to run again.
+//
+//   MONGODB_URI=mongodb://... node scripts/migrate-legacy-data.js [--dry-run]
+//
+// Posts without an author are given to LEGACY_AUTHOR_ID, or the oldest admin.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// The user authorless posts are assigned to, null when there is nobody
+const legacyAuthor = async (db) => {
+  if (process.env.LEGACY_AUTHOR_ID) return new mongoose.Types.ObjectId(process.env.LEGACY_AUTHOR_ID);
+
+  const [admin] = await db.collection('users').find({ role: 'admin' }).sort({ createdAt: 1 }).limit(1).toArray();
+  return admin ? admin._id : null;
+};
+
+// Each step counts the documents it would change and, unless this is a dry
+// run, updates them. Updates don't touch updatedAt: nothing was edited.
+// update may be a function of the database, resolving to null to skip.
+const STEPS = [
+  {
+    name: 'Posts without a status are published',
+    collection: 'posts',
+    filter: { status: { $exists: false } },
+    update: { $set: { status: 'published' } }
+  },
+  {
+    name: 'Published posts without publishAt went live when created',
+    collection: 'posts',
+    filter: { status: 'published', publishAt: { $exists: false } },
+    update: [{ $set: { publishAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  },
+  {
+    name: 'Posts without an author belong to the legacy author',
+    collection: 'posts',
+    filter: { author: null },
+    update: async (db) => {
+      const author = await legacyAuthor(db);
+      return author && { $set: { author } };
+    }
+  },
+  {
+    // Accounts from before email verification would otherwise be locked out
+    // of posting, commenting and uploading. New sign-ups store false explicitly.
+    name: 'Users from before email verification count as verified',
+    collection: 'users',
+    filter: { emailVerified: { $exists: false } },
+    update: [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  }
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+
+  for (const step of STEPS) {
+    const collection = db.collection(step.collection);
+    const matched = await collection.countDocuments(step.filter);
+
+    if (DRY_RUN || !matched) {
+      console.log(`${step.name}: ${matched} to update`);
+      continue;
+    }
+
+    const update = typeof step.update === 'function' ? await step.update(db) : step.update;
+    if (!update) {
+      console.log(`${step.name}: skipped ${matched}, nothing to update them with`);
+      continue;
+    }
+
+    const result = await collection.updateMany(step.filter, update);
+    console.log(`${step.name}: updated ${result.modifiedCount}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// Local webhook receiver for testing deliveries.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Register http://localhost:4000/webhooks as a webhook, then create a post or
+// hit POST /api/webhooks/{id}/ping. Each delivery is printed with whether its
+// signature checks out. RECEIVER_FAIL=1 answers 500 to exercise retries.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL = process.env.RECEIVER_FAIL === '1';
+
+// Deliveries older than this are rejected as possible replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+const verify = (headers, body) => {
+  if (!SECRET) return 'unchecked (set WEBHOOK_SECRET)';
+
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+  const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return 'stale timestamp';
+  if (signature.length !== expected.length) return 'invalid';
+  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? 'valid' : 'invalid';
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = verify(req.headers, body);
+
+    console.log(`\n${new Date().toISOString()} ${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-delivery']})`);
+    console.log(`signature: ${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    const status = FAIL ? 500 : signature === 'valid' || !SECRET ? 200 : 401;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhooks`);
+});
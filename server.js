@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const mongoSanitize = require('express-mongo-sanitize');
+const path = require('path');
 require('dotenv').config();
 
 // Swagger
@@ -12,7 +13,7 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJSDoc = require('swagger-jsdoc');
 
 // Rate limiting
-const { apiLimiter, authLimiter } = require('./middleware/rateLimiter');
+const { apiLimiter } = require('./middleware/rateLimiter');
 
 const app = express();
 
@@ -73,6 +74,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Compression
 app.use(compression());
 
+// Files stored by the local storage driver
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // Logging
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -142,7 +148,7 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Enter JWT token'
+          description: 'Enter a JWT, or an API key (cbk_...) for routes that accept one'
         }
       }
     }
@@ -177,7 +183,21 @@ app.use(async (req, res, next) => {
 // ===========================
 
 app.use('/api/posts', apiLimiter, require('./routes/posts'));
-app.use('/api/auth', authLimiter, require('./routes/auth'));
+app.use('/api/categories', apiLimiter, require('./routes/categories'));
+app.use('/api/tags', apiLimiter, require('./routes/tags'));
+app.use('/api/moderation', apiLimiter, require('./routes/moderation'));
+app.use('/api/auth', apiLimiter, require('./routes/auth'));
+app.use('/api/users', apiLimiter, require('./routes/users'));
+app.use('/api/media', apiLimiter, require('./routes/media'));
+app.use('/api/me', apiLimiter, require('./routes/me'));
+app.use('/api/lists', apiLimiter, require('./routes/lists'));
+app.use('/api/authors', apiLimiter, require('./routes/authors'));
+app.use('/api/webhooks', apiLimiter, require('./routes/webhooks'));
+app.use('/api/audit', apiLimiter, require('./routes/audit'));
+app.use('/api/api-keys', apiLimiter, require('./routes/apiKeys'));
+app.use('/api/cron', require('./routes/cron'));
+app.use('/feeds', apiLimiter, require('./routes/feeds'));
+app.use(require('./routes/seo'));
 
 // Health check
 app.get('/', (req, res) => {
@@ -236,6 +256,22 @@ if (process.env.NODE_ENV !== 'production') {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📚 API Docs: http://localhost:${PORT}/api-docs`);
   });
+
+  // Long-running server: publish due scheduled posts and retry webhook deliveries every minute.
+  // Serverless deployments rely on Vercel Cron hitting /api/cron/publish-scheduled and /api/cron/webhooks.
+  const { publishScheduledPosts } = require('./utils/posts');
+  const { retryDeliveries } = require('./utils/webhooks');
+  setInterval(async () => {
+    try {
+      await connectDB();
+      const published = await publishScheduledPosts();
+      if (published) console.log(`⏰ Published ${published} scheduled post(s)`);
+      const { attempted } = await retryDeliveries();
+      if (attempted) console.log(`🔁 Retried ${attempted} webhook deliveries`);
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  }, 60 * 1000);
 }
 
 module.exports = app;
\ No newline at end of file
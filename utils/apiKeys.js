@@ -0,0 +1,8 @@
+// Raw API keys start with this so auth can tell them apart from JWTs
+const API_KEY_PREFIX = 'cbk_';
+
+// Scopes an API key can be granted. Keys only reach routes that ask for one
+// of their scopes, everything else needs a signed in session.
+const API_KEY_SCOPES = ['posts:read', 'posts:write', 'comments:write', 'media:read', 'media:write'];
+
+module.exports = { API_KEY_PREFIX, API_KEY_SCOPES };
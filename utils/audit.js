@@ -0,0 +1,63 @@
+const AuditLog = require('../models/AuditLog');
+
+const MAX_USER_AGENT = 300;
+
+// Post fields kept in before/after snapshots. The body is left out, post
+// revisions already keep every version of it.
+const POST_AUDIT_FIELDS = ['heading', 'slug', 'status', 'publishAt', 'category', 'tags', 'image', 'coverImage', 'gallery', 'author'];
+
+// Plain copy of the given fields of a document
+const snapshot = (doc, fields) => {
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(fields.map(field => [field, source[field] ?? null]))
+  ));
+};
+
+// Reduce two snapshots to the fields whose values differ
+const changedOnly = (before, after) => {
+  const keys = Object.keys({ ...before, ...after })
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  return {
+    before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map(key => [key, after[key] ?? null]))
+  };
+};
+
+// Record an action taken during a request. The actor defaults to the signed
+// in user, and requests made with an API key note which key. Resolves to
+// null when the entry couldn't be saved.
+const audit = async (req, action, { actor = req.user?.id, target, before, after, details } = {}) => {
+  try {
+    const changes = before && after ? changedOnly(before, after) : { before, after };
+    if (req.user?.apiKey) details = { ...details, apiKey: req.user.apiKey };
+
+    return await AuditLog.create({
+      actor,
+      action,
+      target,
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT),
+      ...changes,
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording ${action} audit entry:`, error.message);
+    return null;
+  }
+};
+
+// Target descriptors for the audit log
+const postTarget = (post) => ({ type: 'post', id: post._id, label: post.heading });
+const userTarget = (user) => ({ type: 'user', id: user._id, label: user.name });
+const apiKeyTarget = (apiKey) => ({ type: 'api-key', id: apiKey._id, label: apiKey.name });
+
+module.exports = {
+  POST_AUDIT_FIELDS,
+  snapshot,
+  audit,
+  postTarget,
+  userTarget,
+  apiKeyTarget
+};
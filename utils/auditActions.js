@@ -0,0 +1,23 @@
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = [
+  'auth.register',
+  'auth.login',
+  'auth.login-failed',
+  'auth.password-change',
+  'auth.password-reset',
+  'api-key.create',
+  'api-key.revoke',
+  'post.create',
+  'post.update',
+  'post.delete',
+  'post.transfer',
+  'user.role-change',
+  'user.suspend',
+  'user.unsuspend',
+  'user.delete'
+];
+
+// Kinds of record an action can target
+const AUDIT_TARGET_TYPES = ['post', 'user', 'api-key'];
+
+module.exports = { AUDIT_ACTIONS, AUDIT_TARGET_TYPES };
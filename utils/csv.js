@@ -0,0 +1,20 @@
+// Quote a value for CSV. Values starting with = + - or @ get a leading
+// apostrophe so spreadsheet apps don't run them as formulas.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows, columns is a list of { header, value(row) }
+const toCsv = (rows, columns) => [
+  columns.map(column => csvCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => csvCell(column.value(row))).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = { csvCell, toCsv };
@@ -0,0 +1,18 @@
+// Compare two revision snapshots field by field
+const diffSnapshots = (from, to, fields = Object.keys({ ...from, ...to })) => {
+  const changes = [];
+
+  fields.forEach(field => {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+
+    // JSON comparison normalises dates, ObjectIds and arrays
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+  });
+
+  return changes;
+};
+
+module.exports = { diffSnapshots };
@@ -0,0 +1,33 @@
+const { mailer } = require('../config/mailer');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your password. If it was you, open this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour and can only be used once. If you didn't ask for this, ignore this email.</p>`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
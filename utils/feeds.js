@@ -0,0 +1,139 @@
+const site = require('../config/site');
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Best-effort MIME type from the image URL's extension
+const imageType = (url) => {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+const publishedDate = (post) => new Date(post.publishAt || post.createdAt);
+
+// Cover image from the media library, falling back to the legacy image URL
+const postImage = (post) => post.coverImage?.url || post.image;
+
+const postCategories = (post) => [post.category?.name, ...(post.tags || [])].filter(Boolean);
+
+// ===========================
+// RSS 2.0
+// ===========================
+
+const buildRss = (feed, posts) => {
+  const items = posts.map(post => {
+    const url = site.postUrl(post);
+    const image = postImage(post);
+    const enclosure = image
+      ? `\n      <enclosure url="${escapeXml(image)}" length="0" type="${imageType(image)}" />`
+      : '';
+
+    return `    <item>
+      <title>${escapeXml(post.heading)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="false">${post._id}</guid>
+      <pubDate>${publishedDate(post).toUTCString()}</pubDate>${post.author?.name ? `
+      <dc:creator>${escapeXml(post.author.name)}</dc:creator>` : ''}
+      <description>${escapeXml(post.excerpt)}</description>
+      <content:encoded>${escapeXml(post.descriptionHtml)}</content:encoded>${postCategories(post).map(name => `
+      <category>${escapeXml(name)}</category>`).join('')}${enclosure}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(site.url)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+// ===========================
+// ATOM 1.0
+// ===========================
+
+const buildAtom = (feed, posts) => {
+  const entries = posts.map(post => {
+    const url = site.postUrl(post);
+    const image = postImage(post);
+    const enclosure = image
+      ? `\n    <link rel="enclosure" href="${escapeXml(image)}" type="${imageType(image)}" />`
+      : '';
+
+    return `  <entry>
+    <title>${escapeXml(post.heading)}</title>
+    <link rel="alternate" href="${escapeXml(url)}" />${enclosure}
+    <id>urn:post:${post._id}</id>
+    <published>${publishedDate(post).toISOString()}</published>
+    <updated>${new Date(post.updatedAt).toISOString()}</updated>${post.author?.name ? `
+    <author><name>${escapeXml(post.author.name)}</name></author>` : ''}
+    <summary>${escapeXml(post.excerpt)}</summary>
+    <content type="html">${escapeXml(post.descriptionHtml)}</content>${postCategories(post).map(name => `
+    <category term="${escapeXml(name)}" />`).join('')}
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" href="${escapeXml(site.url)}" />
+  <link rel="self" href="${escapeXml(feed.feedUrl)}" />
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+};
+
+// ===========================
+// JSON FEED 1.1
+// ===========================
+
+const buildJsonFeed = (feed, posts) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: site.url,
+  feed_url: feed.feedUrl,
+  items: posts.map(post => {
+    const image = postImage(post);
+
+    return {
+      id: post._id.toString(),
+      url: site.postUrl(post),
+      title: post.heading,
+      summary: post.excerpt,
+      content_html: post.descriptionHtml,
+      image: image || undefined,
+      date_published: publishedDate(post).toISOString(),
+      date_modified: new Date(post.updatedAt).toISOString(),
+      authors: post.author?.name ? [{ name: post.author.name }] : undefined,
+      tags: postCategories(post),
+      attachments: image
+        ? [{ url: image, mime_type: imageType(image) }]
+        : undefined
+    };
+  })
+});
+
+module.exports = { buildRss, buildAtom, buildJsonFeed, escapeXml };
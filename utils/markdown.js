@@ -0,0 +1,95 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('./slugify');
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Everything the renderer may emit - scripts, event handlers and
+// javascript: URLs are stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 'input']),
+  allowedAttributes: {
+    a: ['href', 'title', 'name', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Strip all markup, leaving readable text
+const toPlainText = (html) => {
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+};
+
+// Cut on a word boundary so excerpts never end mid-word
+const buildExcerpt = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+// Render Markdown to sanitized HTML plus the derived reading metadata
+const renderMarkdown = (source = '') => {
+  const toc = [];
+  const usedIds = new Map();
+
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    renderer: {
+      // Give every heading a unique anchor and collect it for the table of contents
+      heading(text, level) {
+        const title = toPlainText(text);
+        const base = slugify(title) || 'section';
+        const count = usedIds.get(base) || 0;
+        const id = count ? `${base}-${count + 1}` : base;
+        usedIds.set(base, count + 1);
+
+        toc.push({ level, text: title, id });
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(source), SANITIZE_OPTIONS);
+  const text = toPlainText(html);
+  const wordCount = text ? text.split(' ').length : 0;
+
+  // Excerpts read better without the section headings
+  const bodyText = toPlainText(html.replace(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>/g, ' '));
+
+  return {
+    html,
+    toc,
+    excerpt: buildExcerpt(bodyText),
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  };
+};
+
+module.exports = { renderMarkdown, toPlainText };
@@ -0,0 +1,201 @@
+const { imageSize } = require('image-size');
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const StorageDeletion = require('../models/StorageDeletion');
+const { storage } = require('../config/storage');
+
+// Unreferenced uploads younger than this are left alone so a post that is
+// still being saved doesn't lose its image
+const DEFAULT_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS) || 24;
+
+// Width and height read from the image header, empty when the format isn't recognised
+const readDimensions = (buffer) => {
+  try {
+    const { width, height } = imageSize(buffer);
+    return { width, height };
+  } catch (error) {
+    return {};
+  }
+};
+
+// ===========================
+// UPLOADS
+// ===========================
+
+// Store a multer memory file and record it as a media item
+const recordUpload = async (file, ownerId, { origin = 'library', alt, caption, tags } = {}) => {
+  const { key, url } = await storage.upload(file);
+
+  try {
+    return await Media.create({
+      owner: ownerId,
+      driver: storage.driver.name,
+      key,
+      url,
+      origin,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      ...readDimensions(file.buffer),
+      alt,
+      caption,
+      tags
+    });
+  } catch (error) {
+    await deleteStoredFile(storage.driver.name, key);
+    throw error;
+  }
+};
+
+// ===========================
+// DELETION
+// ===========================
+
+// Delete a stored file, queueing it for retry when the driver fails.
+// Resolves to true when the file is gone, false when it was queued.
+const deleteStoredFile = async (driver, key) => {
+  try {
+    await storage.delete(key, driver);
+    await StorageDeletion.deleteOne({ driver, key });
+    return true;
+  } catch (error) {
+    console.error(`Error deleting ${driver} file ${key}:`, error.message);
+    await StorageDeletion.recordFailure({ driver, key }, error);
+    return false;
+  }
+};
+
+// Delete a media item and its file
+const removeMedia = async (media) => {
+  const deleted = await deleteStoredFile(media.driver, media.key);
+  await Media.deleteOne({ _id: media._id });
+  return deleted;
+};
+
+// Retry queued deletions that are due, returns counts per outcome
+const retryDeletions = async ({ limit = 100, now = new Date() } = {}) => {
+  const due = await StorageDeletion.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort('nextAttemptAt')
+    .limit(limit);
+
+  let deleted = 0;
+  for (const entry of due) {
+    if (await deleteStoredFile(entry.driver, entry.key)) deleted++;
+  }
+
+  return { attempted: due.length, deleted, failed: due.length - deleted };
+};
+
+// ===========================
+// REFERENCES
+// ===========================
+
+// Posts using a media item as cover, in the gallery, or as the legacy image URL
+const referenceFilter = (media) => ({
+  $or: [
+    { coverImage: media._id },
+    { gallery: media._id },
+    { image: media.url }
+  ]
+});
+
+// Ids of the given media items that something still references: posts
+// (cover, gallery or legacy image URL) or user avatars
+const referencedIds = async (items) => {
+  const ids = items.map(media => media._id);
+  const urls = items.map(media => media.url);
+
+  const [covers, galleries, images, avatars] = await Promise.all([
+    Post.distinct('coverImage', { coverImage: { $in: ids } }),
+    Post.distinct('gallery', { gallery: { $in: ids } }),
+    Post.distinct('image', { image: { $in: urls } }),
+    User.distinct('avatar', { avatar: { $in: urls } })
+  ]);
+
+  const referenced = new Set([...covers, ...galleries].map(String));
+  const usedUrls = new Set([...images, ...avatars]);
+  items
+    .filter(media => usedUrls.has(media.url))
+    .forEach(media => referenced.add(String(media._id)));
+
+  return referenced;
+};
+
+// Called when a post or profile stops using an image URL. Uploads recorded
+// as media are removed once nothing else references them; legacy URLs with
+// no record are deleted directly, but only when the active driver stores
+// them. External URLs (e.g. an avatar from elsewhere) are left alone.
+const releaseImage = async (url) => {
+  if (!url) return;
+
+  const media = await Media.findOne({ url });
+  if (!media) {
+    if (storage.owns(url)) await deleteStoredFile(storage.driver.name, url);
+    return;
+  }
+
+  if (media.origin !== 'library' && !(await referencedIds([media])).size) {
+    await removeMedia(media);
+  }
+};
+
+// ===========================
+// ORPHAN SWEEP
+// ===========================
+
+// Find (and unless dryRun, delete) media nothing references. Library uploads
+// are only included on request since they are kept for later reuse.
+const sweepOrphans = async ({
+  dryRun = true,
+  includeLibrary = false,
+  olderThanHours = DEFAULT_GRACE_HOURS,
+  limit = 500,
+  now = new Date()
+} = {}) => {
+  const cutoff = new Date(now.getTime() - olderThanHours * 60 * 60 * 1000);
+  const filter = { createdAt: { $lte: cutoff } };
+  if (!includeLibrary) filter.origin = { $ne: 'library' };
+
+  const candidates = await Media.find(filter).sort('createdAt').limit(limit).lean();
+  const referenced = await referencedIds(candidates);
+  const orphans = candidates.filter(media => !referenced.has(String(media._id)));
+
+  let deleted = 0;
+  let queued = 0;
+  if (!dryRun) {
+    for (const media of orphans) {
+      if (await removeMedia(media)) deleted++;
+      else queued++;
+    }
+  }
+
+  return {
+    dryRun,
+    cutoff,
+    scanned: candidates.length,
+    orphans: orphans.length,
+    bytes: orphans.reduce((total, media) => total + (media.size || 0), 0),
+    deleted,
+    queued,
+    items: orphans.map(media => ({
+      _id: media._id,
+      url: media.url,
+      origin: media.origin,
+      owner: media.owner,
+      size: media.size,
+      createdAt: media.createdAt
+    }))
+  };
+};
+
+module.exports = {
+  recordUpload,
+  deleteStoredFile,
+  removeMedia,
+  retryDeletions,
+  referenceFilter,
+  referencedIds,
+  releaseImage,
+  sweepOrphans
+};
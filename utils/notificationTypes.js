@@ -0,0 +1,4 @@
+// Events a user can be notified about, each can be turned off individually
+const NOTIFICATION_TYPES = ['post-published', 'comment', 'reply', 'follow', 'account'];
+
+module.exports = { NOTIFICATION_TYPES };
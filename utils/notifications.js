@@ -0,0 +1,69 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+// Create a notification unless the recipient caused it or has turned the
+// type off. Failures are logged, never thrown: a missed notification
+// shouldn't fail the request that triggered it.
+const notify = async ({ recipient, type, actor, post, comment, message }) => {
+  try {
+    if (!recipient || (actor && String(actor) === String(recipient))) return null;
+
+    const muted = await User.exists({ _id: recipient, mutedNotifications: type });
+    if (muted) return null;
+
+    return await Notification.create({ recipient, type, actor, post, comment, message });
+  } catch (error) {
+    console.error(`Error creating ${type} notification:`, error.message);
+    return null;
+  }
+};
+
+// Tell the post author about a new approved comment, and the parent
+// comment's author about a reply. Someone who is both only hears once.
+const notifyCommentPosted = async (comment) => {
+  const [post, parent] = await Promise.all([
+    Post.findById(comment.post).select('heading author').lean(),
+    comment.parent ? Comment.findById(comment.parent).select('author').lean() : null
+  ]);
+  if (!post) return;
+
+  const base = { actor: comment.author, post: post._id, comment: comment._id };
+
+  if (parent) {
+    await notify({
+      ...base,
+      recipient: parent.author,
+      type: 'reply',
+      message: `New reply to your comment on "${post.heading}"`
+    });
+  }
+
+  if (!parent || String(parent.author) !== String(post.author)) {
+    await notify({
+      ...base,
+      recipient: post.author,
+      type: 'comment',
+      message: `New comment on "${post.heading}"`
+    });
+  }
+};
+
+// Tell an author their post went live. actor is set when someone else
+// published it, left out for scheduled publishing.
+const notifyPostPublished = (post, actor) => notify({
+  recipient: post.author,
+  type: 'post-published',
+  actor,
+  post: post._id,
+  message: actor
+    ? `Your post "${post.heading}" was published`
+    : `Your scheduled post "${post.heading}" is now live`
+});
+
+module.exports = {
+  notify,
+  notifyCommentPosted,
+  notifyPostPublished
+};
@@ -0,0 +1,109 @@
+// Opaque cursor pagination keyed on the sort field plus _id, so pages stay
+// stable while new documents are inserted.
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// "-createdAt" -> { field: 'createdAt', order: -1 }
+const parseSort = (sort) => ({
+  field: sort.replace(/^-/, ''),
+  order: sort.startsWith('-') ? -1 : 1
+});
+
+const encodeCursor = (doc, field, direction) => {
+  const value = getPath(doc, field);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    t: value instanceof Date ? 'date' : undefined,
+    id: doc._id.toString(),
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Throws on anything that isn't a cursor we produced
+const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || typeof payload.id !== 'string' || !/^[a-f\d]{24}$/i.test(payload.id) || !['next', 'prev'].includes(payload.d)) {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+
+  return {
+    value: payload.t === 'date' ? new Date(payload.v) : payload.v,
+    id: payload.id,
+    direction: payload.d
+  };
+};
+
+// Documents strictly after the cursor position when sorted by field/_id in order.
+// MongoDB sorts null and missing values before everything else, so they come
+// first ascending and last descending; $lt/$gt never match them.
+const cursorFilter = (field, order, position) => {
+  const op = order === -1 ? '$lt' : '$gt';
+  const sameValue = { [field]: position.value, _id: { [op]: position.id } };
+
+  if (position.value === null) {
+    return order === -1
+      ? sameValue
+      : { $or: [sameValue, { [field]: { $ne: null } }] };
+  }
+
+  return {
+    $or: [
+      { [field]: { [op]: position.value } },
+      sameValue,
+      ...(order === -1 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * Fetch one page of Model documents matching filter.
+ * Returns { items, nextCursor, prevCursor, hasMore }.
+ */
+const cursorPaginate = async (Model, filter, { sort = '-createdAt', limit = 10, cursor, populate = [], select } = {}) => {
+  const { field, order } = parseSort(sort);
+  const position = cursor ? decodeCursor(cursor) : null;
+  const backwards = position?.direction === 'prev';
+
+  // Walking backwards flips the sort so the nearest documents come first
+  const queryOrder = backwards ? -order : order;
+  const conditions = [filter];
+  if (position) conditions.push(cursorFilter(field, queryOrder, position));
+
+  let query = Model.find({ $and: conditions })
+    .sort({ [field]: queryOrder, _id: queryOrder })
+    .limit(limit + 1);
+
+  if (select) query = query.select(select);
+  populate.forEach(options => {
+    query = query.populate(options);
+  });
+
+  const docs = await query.lean();
+  const hasExtra = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Going forward there is a previous page whenever we started from a cursor;
+  // going backward there is always a next page (the one we came from)
+  const hasNext = backwards ? true : hasExtra;
+  const hasPrev = backwards ? hasExtra : Boolean(position);
+
+  return {
+    items,
+    nextCursor: hasNext && last ? encodeCursor(last, field, 'next') : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, field, 'prev') : null,
+    hasMore: hasNext && Boolean(last)
+  };
+};
+
+module.exports = { cursorPaginate, decodeCursor };
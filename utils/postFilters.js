@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const escapeRegex = require('./escapeRegex');
+
+// Resolve a category ID or slug to the IDs of it and its subcategories
+const resolveCategoryIds = async (value) => {
+  const category = mongoose.isValidObjectId(value)
+    ? await Category.findById(value).select('_id')
+    : await Category.findOne({ slug: value.toLowerCase() }).select('_id');
+
+  return category ? Category.subtreeIds(category._id) : [];
+};
+
+// Filter for public post listings (list endpoint, feeds) from query options
+const buildPublicPostFilter = async ({ search, tag, category, author, from, to } = {}) => {
+  // Only published (or due scheduled) posts are public
+  const conditions = [Post.visibleFilter()];
+
+  // Search in heading and description, matching the input literally
+  if (search) {
+    const pattern = escapeRegex(search);
+    conditions.push({
+      $or: [
+        { heading: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ]
+    });
+  }
+
+  if (tag) {
+    conditions.push({ tags: tag });
+  }
+
+  if (category) {
+    conditions.push({ category: { $in: await resolveCategoryIds(category) } });
+  }
+
+  if (author) {
+    conditions.push({ author });
+  }
+
+  // Publish date range
+  if (from || to) {
+    const publishAt = {};
+    if (from) publishAt.$gte = new Date(from);
+    if (to) publishAt.$lte = new Date(to);
+    conditions.push({ publishAt });
+  }
+
+  return { $and: conditions };
+};
+
+module.exports = { buildPublicPostFilter, resolveCategoryIds };
@@ -0,0 +1,15 @@
+const Post = require('../models/Post');
+const { notifyPostPublished } = require('./notifications');
+const { dispatchEvent, serializePost } = require('./webhooks');
+
+// Publish due scheduled posts and tell their authors and webhooks, returns the count
+const publishScheduledPosts = async (now = new Date()) => {
+  const posts = await Post.publishScheduled(now);
+  for (const post of posts) {
+    await notifyPostPublished(post);
+    await dispatchEvent('post.published', serializePost(post));
+  }
+  return posts.length;
+};
+
+module.exports = { publishScheduledPosts };
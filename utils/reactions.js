@@ -0,0 +1,7 @@
+// Reaction types a reader can leave on a post, one of each per reader
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'celebrate'];
+
+// Zeroed counters for every reaction type
+const emptyReactionCounts = () => Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+
+module.exports = { REACTION_TYPES, emptyReactionCounts };
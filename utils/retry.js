@@ -0,0 +1,13 @@
+// Retry schedule shared by background jobs that keep failed work for later
+// (storage deletions, webhook deliveries)
+
+// Attempts before an entry is given up on
+const MAX_ATTEMPTS = 8;
+
+// Exponential backoff: 1, 2, 4 ... minutes, capped at a day
+const backoff = (attempts) => Math.min(2 ** (attempts - 1), 24 * 60) * 60 * 1000;
+
+// When to try again after the given number of attempts
+const nextAttemptAt = (attempts, now = new Date()) => new Date(now.getTime() + backoff(attempts));
+
+module.exports = { MAX_ATTEMPTS, nextAttemptAt };
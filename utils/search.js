@@ -0,0 +1,81 @@
+const escapeRegex = require('./escapeRegex');
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split a MongoDB $text style query into "phrases", -excluded and plain terms
+const parseSearchQuery = (q) => {
+  const phrases = [];
+  const excluded = [];
+  const terms = [];
+
+  const rest = q.replace(/(-?)"([^"]+)"/g, (match, negate, phrase) => {
+    (negate ? excluded : phrases).push(phrase.trim());
+    return ' ';
+  });
+
+  rest.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-')) {
+      if (word.length > 1) excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  });
+
+  return { phrases, excluded, terms };
+};
+
+// One case-insensitive pattern for everything that should be highlighted.
+// Terms also match longer words so "run" highlights "running" like the stemmer.
+const buildHighlightPattern = ({ phrases, terms }) => {
+  const parts = [
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `${escapeRegex(term)}\\w*`)
+  ].sort((a, b) => b.length - a.length);
+
+  return parts.length ? new RegExp(`\\b(?:${parts.join('|')})`, 'gi') : null;
+};
+
+// HTML-escape text and wrap matches in <mark>
+const markMatches = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+
+  let output = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    output += escapeHtml(text.slice(lastIndex, match.index));
+    output += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return output + escapeHtml(text.slice(lastIndex));
+};
+
+// Window of text around the first match, with matches marked
+const buildSnippet = (text, pattern, length = SNIPPET_LENGTH) => {
+  if (!text) return '';
+
+  const match = pattern ? text.search(pattern) : -1;
+  let start = match > length / 3 ? match - Math.floor(length / 3) : 0;
+
+  // Start and end on word boundaries
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > match ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return `${prefix}${markMatches(text.slice(start, end), pattern)}${suffix}`;
+};
+
+module.exports = { parseSearchQuery, buildHighlightPattern, markMatches, buildSnippet };
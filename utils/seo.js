@@ -0,0 +1,61 @@
+const site = require('../config/site');
+
+const DESCRIPTION_LENGTH = 160;
+
+const truncate = (text, length) => {
+  if (!text || text.length <= length) return text || '';
+  return `${text.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Open Graph, Twitter card, canonical URL and JSON-LD for a populated post
+const buildPostSeo = (post) => {
+  const canonicalUrl = site.postUrl(post);
+  const description = truncate(post.excerpt || post.description, DESCRIPTION_LENGTH);
+  const published = new Date(post.publishAt || post.createdAt).toISOString();
+  const modified = new Date(post.updatedAt).toISOString();
+  const authorName = post.author?.name;
+  const image = post.coverImage?.url || post.image || undefined;
+
+  return {
+    title: post.heading,
+    description,
+    canonicalUrl,
+    openGraph: {
+      'og:type': 'article',
+      'og:site_name': site.title,
+      'og:title': post.heading,
+      'og:description': description,
+      'og:url': canonicalUrl,
+      'og:image': image,
+      'article:published_time': published,
+      'article:modified_time': modified,
+      'article:author': authorName,
+      'article:section': post.category?.name,
+      'article:tag': post.tags?.length ? post.tags : undefined
+    },
+    twitter: {
+      'twitter:card': image ? 'summary_large_image' : 'summary',
+      'twitter:site': site.twitterHandle || undefined,
+      'twitter:title': post.heading,
+      'twitter:description': description,
+      'twitter:image': image
+    },
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: truncate(post.heading, 110),
+      description,
+      image: image ? [image] : undefined,
+      datePublished: published,
+      dateModified: modified,
+      author: authorName ? { '@type': 'Person', name: authorName } : undefined,
+      publisher: { '@type': 'Organization', name: site.title, url: site.url },
+      mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+      articleSection: post.category?.name,
+      keywords: post.tags?.length ? post.tags.join(', ') : undefined,
+      wordCount: post.wordCount || undefined
+    }
+  };
+};
+
+module.exports = { buildPostSeo };
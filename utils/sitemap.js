@@ -0,0 +1,32 @@
+const { escapeXml } = require('./feeds');
+
+// <urlset> for entries of { loc, lastmod, image }
+const buildUrlset = (entries) => {
+  const urls = entries.map(entry => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : ''}${entry.image ? `
+    <image:image><image:loc>${escapeXml(entry.image)}</image:loc></image:image>` : ''}
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.join('\n')}
+</urlset>
+`;
+};
+
+// <sitemapindex> for sitemaps of { loc, lastmod }
+const buildSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map(sitemap => `  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `
+    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items.join('\n')}
+</sitemapindex>
+`;
+};
+
+module.exports = { buildUrlset, buildSitemapIndex };
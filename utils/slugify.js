@@ -0,0 +1,13 @@
+// Turn arbitrary text into a URL-safe slug ("Hello, World!" -> "hello-world")
+const slugify = (text, maxLength = 80) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+};
+
+module.exports = slugify;
@@ -0,0 +1,17 @@
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Accepts an array or a comma separated string (multipart forms) and
+// returns lowercase, trimmed, de-duplicated tags
+const normalizeTags = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const tags = list
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  return [...new Set(tags)];
+};
+
+module.exports = { normalizeTags, MAX_TAGS, MAX_TAG_LENGTH };
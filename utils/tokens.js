@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const authError = (message) => Object.assign(new Error(message), { status: 401 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT carrying the session (token family) it belongs to
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return { token, doc };
+};
+
+const buildTokenResponse = (user, family, refreshToken) => ({
+  token: signAccessToken(user, family),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a new session (login / register)
+const issueSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const { token } = await createRefreshToken(user, family, req);
+  return buildTokenResponse(user, family, token);
+};
+
+const revokeSession = (family, reason) => {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeUserSessions = (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter.family = { $ne: except };
+
+  return RefreshToken.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated
+// token means it was stolen (or replayed), so the whole family is revoked.
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await revokeSession(reused.family, 'reuse-detected');
+      console.warn(`⚠️ Refresh token reuse detected for user ${reused.user}, session revoked`);
+      throw authError('Refresh token reuse detected, please log in again');
+    }
+    throw authError('Invalid refresh token');
+  }
+
+  if (current.expiresAt <= new Date()) {
+    throw authError('Refresh token expired');
+  }
+
+  // Required here, models/User uses hashToken from this module
+  const User = require('../models/User');
+  const user = await User.findById(current.user);
+  if (!user) {
+    throw authError('User not found');
+  }
+  if (user.status === 'suspended') {
+    throw Object.assign(new Error('Account suspended'), { status: 403 });
+  }
+
+  const { token: nextToken, doc } = await createRefreshToken(user, current.family, req);
+  await current.updateOne({ replacedBy: doc._id });
+
+  return { user, ...buildTokenResponse(user, current.family, nextToken) };
+};
+
+// A session is active while its family still has a live refresh token
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const active = await RefreshToken.exists({
+    family: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(active);
+};
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,4 @@
+// Events admins can subscribe a webhook to
+const WEBHOOK_EVENTS = ['post.created', 'post.updated', 'post.published', 'post.deleted', 'user.registered'];
+
+module.exports = { WEBHOOK_EVENTS };
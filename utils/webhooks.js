@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const DELIVERY_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// A delivery being sent is hidden from other senders for this long
+const CLAIM_TTL = 60 * 1000;
+
+// Only the start of a receiver's response is kept in the delivery log
+const MAX_RESPONSE_BODY = 2000;
+
+// ===========================
+// PAYLOADS
+// ===========================
+
+// Receivers verify the signature over `${timestamp}.${body}` with their secret
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Post fields sent with post events
+const serializePost = (post) => ({
+  id: String(post._id),
+  heading: post.heading,
+  slug: post.slug,
+  status: post.status,
+  publishAt: post.publishAt,
+  author: String(post.author?._id || post.author),
+  category: post.category ? String(post.category._id || post.category) : null,
+  tags: post.tags,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt
+});
+
+// User fields sent with user events, never the email address
+const serializeUser = (user) => ({
+  id: String(user._id),
+  name: user.name,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+// The body sent for an event. id stays the same across retries and
+// redeliveries so receivers can drop duplicates.
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date(),
+  data
+});
+
+// ===========================
+// DELIVERY
+// ===========================
+
+// POST a delivery to its webhook and record the outcome
+const sendDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const result = {};
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'classic-blog-api-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+
+    result.responseStatus = response.status;
+    result.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) result.error = `Receiver responded with ${response.status}`;
+  } catch (error) {
+    result.error = error.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT}ms`
+      : error.cause?.message || error.message;
+  }
+
+  result.duration = Date.now() - started;
+  return delivery.recordAttempt(result);
+};
+
+// Send a pending delivery that is due. Claiming it first keeps the retry
+// cron and an in-flight send from delivering it twice. Resolves to the
+// updated delivery, or null when it wasn't due or someone else claimed it.
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_TTL) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.lastError = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  return sendDelivery(delivery, webhook);
+};
+
+// Record an event for every active webhook subscribed to it and send it in
+// the background. Anything a serverless function doesn't finish is picked
+// up by the retry cron.
+const dispatchEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id').lean();
+    if (!webhooks.length) return [];
+
+    const payload = buildPayload(event, data);
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map(webhook => ({ webhook: webhook._id, event, payload }))
+    );
+
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery._id).catch(error => {
+        console.error(`Webhook delivery ${delivery._id} error:`, error.message);
+      });
+    });
+
+    return deliveries;
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks:`, error.message);
+    return [];
+  }
+};
+
+// Send a new copy of a delivery's payload now, whatever its status.
+// Resolves to the new delivery.
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+
+  return (await attemptDelivery(copy._id)) || copy;
+};
+
+// Send a ping event to check a webhook is reachable and verifying signatures
+const pingWebhook = async (webhook) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: 'ping',
+    payload: buildPayload('ping', { webhook: String(webhook._id), events: webhook.events })
+  });
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// Retry pending deliveries that are due, returns counts per outcome
+const retryDeliveries = async ({ limit = 100, now = new Date() } = {}) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort('nextAttemptAt')
+    .limit(limit)
+    .select('_id');
+
+  let succeeded = 0;
+  let attempted = 0;
+  for (const { _id } of due) {
+    const delivery = await attemptDelivery(_id, now);
+    if (!delivery) continue;
+    attempted++;
+    if (delivery.status === 'succeeded') succeeded++;
+  }
+
+  return { attempted, succeeded, failed: attempted - succeeded };
+};
+
+module.exports = {
+  signPayload,
+  serializePost,
+  serializeUser,
+  dispatchEvent,
+  attemptDelivery,
+  redeliver,
+  pingWebhook,
+  retryDeliveries
+};